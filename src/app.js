@@ -12,6 +12,17 @@ const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
 const reviewRoutes = require('./routes/reviews');
 const stripeRoutes = require('./routes/stripe');
+const subscriptionRoutes = require('./routes/subscriptions');
+const walletRoutes = require('./routes/wallet');
+const deliveryRoutes = require('./routes/delivery');
+const paymentMethodRoutes = require('./routes/paymentMethods');
+const couponRoutes = require('./routes/coupons');
+const taxRateRoutes = require('./routes/taxRates');
+const cartRoutes = require('./routes/cart');
+const batchRoutes = require('./routes/batches');
+const markdownRuleRoutes = require('./routes/markdownRules');
+const bottleRoutes = require('./routes/bottles');
+const notificationRoutes = require('./routes/notifications');
 
 const app = express();
 
@@ -74,8 +85,8 @@ app.use('/api/stripe', stripeRoutes);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, '..', 'uploads')));
+// Static files; only product images are public
+app.use('/uploads/products', express.static(path.join(__dirname, '..', 'uploads', 'products')));
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -83,6 +94,17 @@ app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/delivery', deliveryRoutes);
+app.use('/api/payment-methods', paymentMethodRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/tax-rates', taxRateRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/batches', batchRoutes);
+app.use('/api/markdown-rules', markdownRuleRoutes);
+app.use('/api/bottles', bottleRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
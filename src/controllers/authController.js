@@ -1,12 +1,45 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { validateEmail, validatePhone, validatePassword, generateToken, sanitizeUser } = require('../utils/validation');
+const { validateEmail, validatePhone, validatePassword, hashToken, createToken, sanitizeUser } = require('../utils/validation');
+const { getOrCreateCart, mergeItems } = require('../utils/cart');
+const { NOTIFICATION_EVENTS } = require('../utils/notificationTemplates');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const { createSession, rotateSession, revokeSessions, revokeUserSessions } = require('../utils/sessions');
+const Session = require('../models/Session');
+
+// A new verification email can be asked for once a minute
+const VERIFICATION_RESEND_MS = 60 * 1000;
+
+const getVerificationHours = () => parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+const getResetMinutes = () => parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+// Give the user a fresh verification token, replacing any earlier one, and
+// email it. Resolves to false if the email could not be sent.
+const issueEmailVerification = async (user) => {
+  const { token, hash } = createToken();
+  const hours = getVerificationHours();
+
+  await User.updateOne({ _id: user._id }, {
+    emailVerificationToken: hash,
+    emailVerificationExpires: new Date(Date.now() + hours * 60 * 60 * 1000),
+    emailVerificationSentAt: new Date()
+  });
+
+  try {
+    await sendVerificationEmail(user, token, hours);
+    return true;
+  } catch (error) {
+    console.error('Verification email error:', error);
+    return false;
+  }
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
 const register = async (req, res) => {
   try {
-    const { name, email, phone, password, role } = req.body;
+    const { name, email, phone, password } = req.body;
 
     // Validation
     if (!name || !email || !phone || !password) {
@@ -55,18 +88,22 @@ const register = async (req, res) => {
       email,
       phone,
       password,
-      role: role || 'user'
+      // Staff roles, delivery agents included, are only granted by an admin
+      role: 'user'
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    const verificationEmailSent = await issueEmailVerification(user);
+
+    // Start a session for this device
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user: sanitizeUser(user),
-        token
+        ...tokens,
+        verificationEmailSent
       }
     });
   } catch (error) {
@@ -110,15 +147,28 @@ const login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const tokens = await createSession(user, req);
+
+    // Items added before signing in move into the saved cart
+    let cartMerge;
+    if (Array.isArray(req.body.cart) && req.body.cart.length > 0) {
+      try {
+        const { skipped } = await mergeItems(await getOrCreateCart(user._id), req.body.cart);
+        cartMerge = { merged: true, skipped };
+      } catch (error) {
+        console.error('Guest cart merge error:', error);
+        cartMerge = { merged: false };
+      }
+    }
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         user: sanitizeUser(user),
-        token
+        ...tokens,
+        cartMerge
       }
     });
   } catch (error) {
@@ -191,9 +241,421 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// @desc    Get my notification preferences
+// @route   GET /api/auth/notification-preferences
+// @access  Private
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      data: {
+        preferences: user.notificationPreferences,
+        events: NOTIFICATION_EVENTS
+      }
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification preferences'
+    });
+  }
+};
+
+// @desc    Update my notification preferences
+// @route   PUT /api/auth/notification-preferences
+// @access  Private
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const { email, sms, muted } = req.body;
+    const fieldsToUpdate = {};
+
+    if (email !== undefined) fieldsToUpdate['notificationPreferences.email'] = Boolean(email);
+    if (sms !== undefined) fieldsToUpdate['notificationPreferences.sms'] = Boolean(sms);
+    if (muted !== undefined) {
+      if (!Array.isArray(muted) || !muted.every(event => NOTIFICATION_EVENTS.includes(event))) {
+        return res.status(400).json({
+          success: false,
+          message: `Muted events must be a list of: ${NOTIFICATION_EVENTS.join(', ')}`
+        });
+      }
+      fieldsToUpdate['notificationPreferences.muted'] = [...new Set(muted)];
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: fieldsToUpdate },
+      { new: true, runValidators: true }
+    ).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: {
+        preferences: user.notificationPreferences
+      }
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification preferences'
+    });
+  }
+};
+
+// @desc    Verify email address with the token from the verification email
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the verification token'
+      });
+    }
+
+    // Claiming the token and verifying happen in one update, so it works once
+    const user = await User.findOneAndUpdate(
+      { emailVerificationToken: hashToken(token), emailVerificationExpires: { $gt: new Date() } },
+      {
+        $set: { isEmailVerified: true, emailVerifiedAt: new Date() },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: sanitizeUser(user)
+      }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const sentAt = req.user.emailVerificationSentAt;
+    if (sentAt && Date.now() - sentAt.getTime() < VERIFICATION_RESEND_MS) {
+      return res.status(429).json({
+        success: false,
+        message: 'Verification email was just sent, please wait a minute before asking again'
+      });
+    }
+
+    if (!(await issueEmailVerification(req.user))) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not send verification email, please try again later'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (typeof email !== 'string' || !validateEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email'
+      });
+    }
+
+    // Same answer whether or not the account exists, so the endpoint can't be
+    // used to find out who is registered
+    const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
+    if (user) {
+      const { token, hash } = createToken();
+      const minutes = getResetMinutes();
+
+      await User.updateOne({ _id: user._id }, {
+        passwordResetToken: hash,
+        passwordResetExpires: new Date(Date.now() + minutes * 60 * 1000)
+      });
+
+      try {
+        await sendPasswordResetEmail(user, token, minutes);
+      } catch (error) {
+        console.error('Password reset email error:', error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+};
+
+// @desc    Set a new password with the token from the reset email
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the reset token'
+      });
+    }
+
+    if (typeof password !== 'string' || !validatePassword(password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    // The token is removed as it is claimed, so a second use finds nothing
+    const user = await User.findOneAndUpdate(
+      { passwordResetToken: hashToken(token), passwordResetExpires: { $gt: new Date() }, isActive: true },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    // Following the link proves the user owns the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeUserSessions(user._id, 'password-changed');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshSession = async (req, res) => {
+  try {
+    const tokens = await rotateSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Refresh session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing session'
+    });
+  }
+};
+
+// @desc    Log out this device, by refresh token or the current access token
+// @route   POST /api/auth/logout
+// @access  Public
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (typeof refreshToken === 'string' && refreshToken) {
+      await revokeSessions({ tokenHash: hashToken(refreshToken) }, 'logout');
+    } else if (req.sessionId) {
+      await revokeSessions({ _id: req.sessionId }, 'logout');
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+// @desc    Get my signed-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+};
+
+// @desc    Sign out one of my devices
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    const revoked = mongoose.isValidObjectId(req.params.id)
+      ? await revokeSessions({ _id: req.params.id, user: req.user._id }, 'revoked')
+      : 0;
+
+    if (revoked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+};
+
+// @desc    Sign out all my devices; ?keepCurrent=true keeps this one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeAllSessions = async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.keepCurrent === 'true') filter._id = { $ne: req.sessionId };
+
+    const revoked = await revokeSessions(filter, 'revoked-all');
+
+    res.json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   getMe,
-  updateProfile
+  updateProfile,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refreshSession,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions
 };
\ No newline at end of file
@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const Product = require('../models/Product');
+const { receiveBatch } = require('../utils/stock');
+const { addDays, isValidDate } = require('../utils/dates');
+
+// Batch details an admin may correct after receiving; quantities only change
+// through orders and write-offs
+const BATCH_FIELDS = ['batchNumber', 'manufactureDate', 'expiryDate', 'source'];
+
+const validationMessage = (error) => {
+  return Object.values(error.errors).map(val => val.message).join(', ');
+};
+
+// Show the product and pack size alongside each batch
+const formatBatch = (batch) => {
+  const product = batch.product;
+  const variant = product?.getVariant ? product.getVariant(batch.variant) : null;
+
+  return {
+    ...batch.toJSON(),
+    product: product?.getVariant ? { _id: product._id, name: product.name, brand: product.brand } : product,
+    variant: variant ? { _id: variant._id, sku: variant.sku, label: variant.label } : batch.variant
+  };
+};
+
+// @desc    Get batches (Admin)
+// @route   GET /api/batches?product=&variant=&inStock=
+// @access  Private/Admin
+const getBatches = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (mongoose.isValidObjectId(req.query.product)) query.product = req.query.product;
+    if (mongoose.isValidObjectId(req.query.variant)) query.variant = req.query.variant;
+    if (req.query.inStock === 'true') query.quantity = { $gt: 0 };
+
+    const batches = await Batch.find(query)
+      .populate('product', 'name brand variants')
+      .sort({ expiryDate: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Batch.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        batches: batches.map(formatBatch),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching batches'
+    });
+  }
+};
+
+// @desc    Get stock expiring within N days, including expired stock not yet written off (Admin)
+// @route   GET /api/batches/expiring?days=
+// @access  Private/Admin
+const getExpiringBatches = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+    const days = parseInt(req.query.days) || 7;
+
+    const query = {
+      quantity: { $gt: 0 },
+      expiryDate: { $lte: new Date(Date.now() + days * 24 * 60 * 60 * 1000) }
+    };
+
+    const batches = await Batch.find(query)
+      .populate('product', 'name brand variants')
+      .sort({ expiryDate: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const [total, units] = await Promise.all([
+      Batch.countDocuments(query),
+      Batch.aggregate([
+        { $match: query },
+        { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        days,
+        totalUnits: units[0]?.quantity || 0,
+        batches: batches.map(formatBatch),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get expiring batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching expiring batches'
+    });
+  }
+};
+
+// @desc    Receive a batch into stock (Admin)
+// @route   POST /api/batches
+// @access  Private/Admin
+const createBatch = async (req, res) => {
+  try {
+    const { product: productId, variant: variantId, batchNumber, manufactureDate, source } = req.body;
+    const quantityReceived = parseInt(req.body.quantityReceived);
+
+    if (!productId || !batchNumber || !isValidDate(manufactureDate) || !quantityReceived) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide product, batch number, manufacture date and quantity received'
+      });
+    }
+
+    const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+    const variant = product && (!variantId || mongoose.isValidObjectId(variantId))
+      ? product.getVariant(variantId)
+      : null;
+
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: product ? 'Variant not found' : 'Product not found'
+      });
+    }
+
+    // Without an explicit expiry the product's shelf life applies
+    const expiryDate = isValidDate(req.body.expiryDate)
+      ? new Date(req.body.expiryDate)
+      : addDays(manufactureDate, product.shelfLife);
+
+    if (expiryDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Batch has already expired'
+      });
+    }
+
+    const batch = await receiveBatch({
+      product: product._id,
+      variant: variant._id,
+      batchNumber,
+      manufactureDate,
+      expiryDate,
+      quantityReceived,
+      source,
+      receivedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Batch received successfully',
+      data: { batch }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This product already has a batch with this number'
+      });
+    }
+    console.error('Create batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while receiving batch'
+    });
+  }
+};
+
+// @desc    Update batch details (Admin)
+// @route   PUT /api/batches/:id
+// @access  Private/Admin
+const updateBatch = async (req, res) => {
+  try {
+    const batch = await Batch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+
+    BATCH_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) batch[field] = req.body[field];
+    });
+    await batch.save();
+
+    res.json({
+      success: true,
+      message: 'Batch updated successfully',
+      data: { batch }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This product already has a batch with this number'
+      });
+    }
+    console.error('Update batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating batch'
+    });
+  }
+};
+
+module.exports = {
+  getBatches,
+  getExpiringBatches,
+  createBatch,
+  updateBatch
+};
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const BottleAccount = require('../models/BottleAccount');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { returnBottles } = require('../utils/bottles');
+const { roundAmount } = require('../utils/wallet');
+
+// @desc    Get my outstanding bottles and deposit credit
+// @route   GET /api/bottles/me
+// @access  Private
+const getMyBottles = async (req, res) => {
+  try {
+    const accounts = await BottleAccount.find({ user: req.user._id, outstanding: { $gt: 0 } })
+      .sort({ lastIssuedAt: -1 });
+    const user = await User.findById(req.user._id).select('depositCredit');
+
+    res.json({
+      success: true,
+      data: {
+        accounts,
+        outstanding: accounts.reduce((sum, account) => sum + account.outstanding, 0),
+        depositHeld: roundAmount(accounts.reduce((sum, account) => sum + account.depositHeld, 0)),
+        depositCredit: user?.depositCredit || 0
+      }
+    });
+  } catch (error) {
+    console.error('Get my bottles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bottles'
+    });
+  }
+};
+
+// @desc    Record empty bottles collected on a delivery
+// @route   POST /api/bottles/returns
+// @access  Private/Admin/Delivery
+const recordBottleReturns = async (req, res) => {
+  try {
+    const { order: orderId, returns, creditTo } = req.body;
+
+    const order = mongoose.isValidObjectId(orderId) ? await Order.findById(orderId) : null;
+
+    // Agents only collect on their own deliveries
+    const isOwnDelivery = req.user.role !== 'delivery' || order?.deliveryAgent?.toString() === req.user._id.toString();
+    if (!order || !isOwnDelivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!['out-for-delivery', 'delivered'].includes(order.orderStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bottles can only be collected on an order that is out for delivery or delivered'
+      });
+    }
+
+    const result = await returnBottles(order, returns, { creditTo, by: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Bottle returns recorded',
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Record bottle returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording bottle returns'
+    });
+  }
+};
+
+// @desc    Outstanding bottles per customer and per zone (Admin)
+// @route   GET /api/bottles/report
+// @access  Private/Admin
+const getBottleReport = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+    const match = { outstanding: { $gt: 0 } };
+
+    const [customers, customerCount, zones] = await Promise.all([
+      BottleAccount.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$user',
+            outstanding: { $sum: '$outstanding' },
+            depositHeld: { $sum: '$depositHeld' },
+            products: { $push: { product: '$product', variant: '$variant', name: '$name', outstanding: '$outstanding' } }
+          }
+        },
+        { $sort: { outstanding: -1 } },
+        { $skip: skip },
+        { $limit: limit },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+        {
+          $project: {
+            _id: 0,
+            user: { $let: { vars: { user: { $arrayElemAt: ['$user', 0] } }, in: { _id: '$$user._id', name: '$$user.name', email: '$$user.email', phone: '$$user.phone' } } },
+            outstanding: 1,
+            depositHeld: { $round: ['$depositHeld', 2] },
+            products: 1
+          }
+        }
+      ]),
+      BottleAccount.distinct('user', match),
+      BottleAccount.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$zone',
+            outstanding: { $sum: '$outstanding' },
+            depositHeld: { $sum: '$depositHeld' },
+            customers: { $addToSet: '$user' }
+          }
+        },
+        { $lookup: { from: 'deliveryzones', localField: '_id', foreignField: '_id', as: 'zone' } },
+        {
+          $project: {
+            _id: 0,
+            zone: '$_id',
+            name: { $arrayElemAt: ['$zone.name', 0] },
+            outstanding: 1,
+            depositHeld: { $round: ['$depositHeld', 2] },
+            customers: { $size: '$customers' }
+          }
+        },
+        { $sort: { outstanding: -1 } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        totals: {
+          outstanding: zones.reduce((sum, zone) => sum + zone.outstanding, 0),
+          depositHeld: roundAmount(zones.reduce((sum, zone) => sum + zone.depositHeld, 0))
+        },
+        zones,
+        customers,
+        pagination: {
+          page,
+          limit,
+          total: customerCount.length,
+          pages: Math.ceil(customerCount.length / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get bottle report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building bottle report'
+    });
+  }
+};
+
+module.exports = {
+  getMyBottles,
+  recordBottleReturns,
+  getBottleReport
+};
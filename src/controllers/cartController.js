@@ -0,0 +1,190 @@
+const Cart = require('../models/Cart');
+const {
+  getOrCreateCart,
+  addItem,
+  setItemQuantity,
+  removeItem,
+  emptyCart,
+  mergeItems,
+  repriceCart
+} = require('../utils/cart');
+
+// Run a cart change and respond with the repriced cart, mapping cart errors
+// to their status codes
+const respondWithCart = async (res, change, successMessage, errorLabel) => {
+  try {
+    const cart = await change();
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: { cart: await repriceCart(cart) }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(`${errorLabel} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating cart'
+    });
+  }
+};
+
+// @desc    Get cart with current prices and stock
+// @route   GET /api/cart
+// @access  Private
+const getCart = async (req, res) => {
+  try {
+    const cart = await getOrCreateCart(req.user._id);
+
+    res.json({
+      success: true,
+      data: { cart: await repriceCart(cart) }
+    });
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching cart'
+    });
+  }
+};
+
+// @desc    Add item to cart
+// @route   POST /api/cart/items
+// @access  Private
+const addCartItem = async (req, res) => {
+  const { product, variant, quantity = 1 } = req.body;
+
+  if (!product) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a product'
+    });
+  }
+
+  await respondWithCart(res, async () => {
+    const cart = await getOrCreateCart(req.user._id);
+    return addItem(cart, product, variant, quantity);
+  }, 'Item added to cart', 'Add cart item');
+};
+
+// @desc    Change the quantity of a cart item
+// @route   PUT /api/cart/items/:productId?variant=
+// @access  Private
+const updateCartItem = async (req, res) => {
+  await respondWithCart(res, async () => {
+    const cart = await getOrCreateCart(req.user._id);
+    return setItemQuantity(cart, req.params.productId, req.query.variant || req.body.variant, req.body.quantity);
+  }, 'Cart updated', 'Update cart item');
+};
+
+// @desc    Remove item from cart
+// @route   DELETE /api/cart/items/:productId?variant=
+// @access  Private
+const removeCartItem = async (req, res) => {
+  await respondWithCart(res, async () => {
+    const cart = await getOrCreateCart(req.user._id);
+    return removeItem(cart, req.params.productId, req.query.variant || req.body.variant);
+  }, 'Item removed from cart', 'Remove cart item');
+};
+
+// @desc    Clear cart
+// @route   DELETE /api/cart
+// @access  Private
+const clearCart = async (req, res) => {
+  await respondWithCart(res, async () => {
+    const cart = await getOrCreateCart(req.user._id);
+    return emptyCart(cart);
+  }, 'Cart cleared', 'Clear cart');
+};
+
+// @desc    Merge a guest cart into the user's cart
+// @route   POST /api/cart/merge
+// @access  Private
+const mergeCart = async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the guest cart items'
+      });
+    }
+
+    const { cart, skipped } = await mergeItems(await getOrCreateCart(req.user._id), items);
+
+    res.json({
+      success: true,
+      message: 'Cart merged',
+      data: { cart: await repriceCart(cart), skipped }
+    });
+  } catch (error) {
+    console.error('Merge cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while merging cart'
+    });
+  }
+};
+
+// @desc    Get abandoned carts (Admin)
+// @route   GET /api/cart/admin/abandoned?hours=
+// @access  Private/Admin
+const getAbandonedCarts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const hours = parseFloat(req.query.hours) || parseFloat(process.env.CART_ABANDONED_HOURS) || 24;
+
+    const query = {
+      'items.0': { $exists: true },
+      lastActivityAt: { $lt: new Date(Date.now() - hours * 60 * 60 * 1000) }
+    };
+
+    const carts = await Cart.find(query)
+      .populate('user', 'name email phone')
+      .populate('items.product', 'name price')
+      .sort({ lastActivityAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Cart.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        carts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get abandoned carts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching abandoned carts'
+    });
+  }
+};
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeCart,
+  getAbandonedCarts
+};
@@ -0,0 +1,215 @@
+const Coupon = require('../models/Coupon');
+
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'minOrderValue',
+  'maxDiscount',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'perUserLimit',
+  'categories',
+  'brands',
+  'products',
+  'firstOrderOnly',
+  'isActive'
+];
+
+const validationMessage = (error) => {
+  return Object.values(error.errors).map(val => val.message).join(', ');
+};
+
+// @desc    Get coupons (Admin)
+// @route   GET /api/coupons
+// @access  Private/Admin
+const getCoupons = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+    if (req.query.code) query.code = { $regex: req.query.code.toUpperCase().replace(/[^A-Z0-9_-]/g, '') };
+
+    const coupons = await Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching coupons'
+    });
+  }
+};
+
+// @desc    Get single coupon (Admin)
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+const getCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('products', 'name price')
+      .populate('createdBy', 'name');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { coupon }
+    });
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching coupon'
+    });
+  }
+};
+
+// @desc    Create coupon (Admin)
+// @route   POST /api/coupons
+// @access  Private/Admin
+const createCoupon = async (req, res) => {
+  try {
+    const data = { createdBy: req.user._id };
+    COUPON_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const coupon = await Coupon.create(data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+    console.error('Create coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating coupon'
+    });
+  }
+};
+
+// @desc    Update coupon (Admin)
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    COUPON_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    });
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+    console.error('Update coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating coupon'
+    });
+  }
+};
+
+// @desc    Delete coupon (Admin)
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Orders keep referring to the coupon, so deactivate instead
+    coupon.isActive = false;
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting coupon'
+    });
+  }
+};
+
+module.exports = {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
@@ -0,0 +1,272 @@
+const DeliverySlot = require('../models/DeliverySlot');
+const BlackoutDate = require('../models/BlackoutDate');
+const { getSlotsForDate } = require('../utils/deliverySlots');
+const { startOfDay, addDays, isValidDate } = require('../utils/dates');
+
+const validationMessage = (error) => {
+  return Object.values(error.errors).map(val => val.message).join(', ');
+};
+
+// @desc    Get delivery slots for a date
+// @route   GET /api/delivery/slots?date=&zipCode=
+// @access  Public
+const getSlots = async (req, res) => {
+  try {
+    const date = req.query.date || addDays(new Date(), 1);
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date'
+      });
+    }
+
+    const slots = await getSlotsForDate(date, req.query.zipCode);
+
+    res.json({
+      success: true,
+      data: {
+        date: startOfDay(date),
+        slots
+      }
+    });
+  } catch (error) {
+    console.error('Get delivery slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching delivery slots'
+    });
+  }
+};
+
+// @desc    Get all slot definitions (Admin)
+// @route   GET /api/delivery/slots/all
+// @access  Private/Admin
+const getAllSlots = async (req, res) => {
+  try {
+    const slots = await DeliverySlot.find().sort({ startTime: 1 });
+
+    res.json({
+      success: true,
+      data: { slots }
+    });
+  } catch (error) {
+    console.error('Get all delivery slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching delivery slots'
+    });
+  }
+};
+
+// @desc    Create delivery slot
+// @route   POST /api/delivery/slots
+// @access  Private/Admin
+const createSlot = async (req, res) => {
+  try {
+    const { name, startTime, endTime, capacity, cutoffTime, cutoffDaysBefore, daysOfWeek, zipCodes, isActive } = req.body;
+
+    if (!name || !startTime || !endTime || !capacity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide name, start time, end time and capacity'
+      });
+    }
+
+    const slot = await DeliverySlot.create({
+      name,
+      startTime,
+      endTime,
+      capacity,
+      cutoffTime,
+      cutoffDaysBefore,
+      daysOfWeek,
+      zipCodes,
+      isActive
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery slot created successfully',
+      data: { slot }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    console.error('Create delivery slot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating delivery slot'
+    });
+  }
+};
+
+// @desc    Update delivery slot
+// @route   PUT /api/delivery/slots/:id
+// @access  Private/Admin
+const updateSlot = async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findById(req.params.id);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery slot not found'
+      });
+    }
+
+    const fields = ['name', 'startTime', 'endTime', 'capacity', 'cutoffTime', 'cutoffDaysBefore', 'daysOfWeek', 'zipCodes', 'isActive'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) slot[field] = req.body[field];
+    });
+    await slot.save();
+
+    res.json({
+      success: true,
+      message: 'Delivery slot updated successfully',
+      data: { slot }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    console.error('Update delivery slot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating delivery slot'
+    });
+  }
+};
+
+// @desc    Delete delivery slot
+// @route   DELETE /api/delivery/slots/:id
+// @access  Private/Admin
+const deleteSlot = async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findById(req.params.id);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery slot not found'
+      });
+    }
+
+    // Existing orders keep referring to the slot, so deactivate instead
+    slot.isActive = false;
+    await slot.save();
+
+    res.json({
+      success: true,
+      message: 'Delivery slot deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete delivery slot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting delivery slot'
+    });
+  }
+};
+
+// @desc    Get upcoming blackout dates
+// @route   GET /api/delivery/blackouts
+// @access  Public
+const getBlackouts = async (req, res) => {
+  try {
+    const blackouts = await BlackoutDate.find({ date: { $gte: startOfDay(new Date()) } })
+      .sort({ date: 1 });
+
+    res.json({
+      success: true,
+      data: { blackouts }
+    });
+  } catch (error) {
+    console.error('Get blackout dates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching blackout dates'
+    });
+  }
+};
+
+// @desc    Add blackout date
+// @route   POST /api/delivery/blackouts
+// @access  Private/Admin
+const createBlackout = async (req, res) => {
+  try {
+    const { date, reason } = req.body;
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date'
+      });
+    }
+
+    const blackout = await BlackoutDate.create({ date: startOfDay(date), reason });
+
+    res.status(201).json({
+      success: true,
+      message: 'Blackout date added successfully',
+      data: { blackout }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This date is already blacked out'
+      });
+    }
+    console.error('Create blackout date error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding blackout date'
+    });
+  }
+};
+
+// @desc    Remove blackout date
+// @route   DELETE /api/delivery/blackouts/:id
+// @access  Private/Admin
+const deleteBlackout = async (req, res) => {
+  try {
+    const blackout = await BlackoutDate.findByIdAndDelete(req.params.id);
+
+    if (!blackout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blackout date not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Blackout date removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete blackout date error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing blackout date'
+    });
+  }
+};
+
+module.exports = {
+  getSlots,
+  getAllSlots,
+  createSlot,
+  updateSlot,
+  deleteSlot,
+  getBlackouts,
+  createBlackout,
+  deleteBlackout
+};
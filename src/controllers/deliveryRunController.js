@@ -0,0 +1,447 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { changeOrderStatus } = require('../utils/orderPlacement');
+const { roundAmount } = require('../utils/wallet');
+const { startOfDay, storeToday, isValidDate } = require('../utils/dates');
+const { publishOrderUpdate, publishAgentLocation } = require('../utils/realtime');
+
+// Orders in these statuses can still be handed to another agent in bulk;
+// orders already on the road are only moved one by one
+const ASSIGNABLE_STATUSES = ['pending', 'confirmed', 'packed'];
+
+// Cash still to collect on a cod order
+const getCodDue = (order) => {
+  if (order.paymentMethod !== 'cod' || order.isPaid) return 0;
+  return roundAmount(order.totalAmount - (order.codCollection?.amount || 0));
+};
+
+// Load an order assigned to the requesting agent. Orders assigned to someone
+// else look the same as missing ones.
+const findAssignedOrder = async (req, res) => {
+  const order = mongoose.isValidObjectId(req.params.id) ? await Order.findById(req.params.id) : null;
+
+  if (!order || order.deliveryAgent?.toString() !== req.user._id.toString()) {
+    res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+    return null;
+  }
+
+  return order;
+};
+
+// Proof files are saved before the handler runs; drop them when the
+// delivery isn't recorded
+const removeUploads = (req) => {
+  Object.values(req.files || {}).flat().forEach(file => {
+    fs.unlink(file.path, () => {});
+  });
+};
+
+// Photo, optional signature, GPS position and capture time from a multipart
+// delivery request. Returns { error } when something is missing or invalid.
+const parseDeliveryProof = (req) => {
+  const photo = req.files?.photo?.[0];
+  const signature = req.files?.signature?.[0];
+  if (!photo) {
+    return { error: 'Please attach a photo of the delivery' };
+  }
+
+  const latitude = parseFloat(req.body.latitude);
+  const longitude = parseFloat(req.body.longitude);
+  if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+    return { error: 'Please provide valid GPS coordinates' };
+  }
+
+  const accuracy = parseFloat(req.body.accuracy);
+  const now = new Date();
+  // Device clocks can run ahead; never record a capture time in the future
+  const capturedAt = isValidDate(req.body.capturedAt) && new Date(req.body.capturedAt) < now
+    ? new Date(req.body.capturedAt)
+    : now;
+
+  return {
+    proof: {
+      photo: photo.filename,
+      signature: signature?.filename,
+      location: { latitude, longitude, accuracy: accuracy >= 0 ? accuracy : undefined },
+      capturedAt,
+      recordedAt: now,
+      recordedBy: req.user._id
+    }
+  };
+};
+
+const statusConflict = (res) => {
+  return res.status(409).json({
+    success: false,
+    message: 'Order status changed in the meantime, please reload'
+  });
+};
+
+// @desc    Assign orders, or a day's slot or zone, to a delivery agent (Admin)
+// @route   POST /api/delivery/assignments
+// @access  Private/Admin
+const assignOrders = async (req, res) => {
+  try {
+    const { agent: agentId, orders, date, slot, zone } = req.body;
+
+    // A null agent unassigns the orders
+    let agent = null;
+    if (agentId) {
+      agent = mongoose.isValidObjectId(agentId) ? await User.findById(agentId) : null;
+      if (!agent || agent.role !== 'delivery' || !agent.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please choose an active delivery agent'
+        });
+      }
+    }
+
+    let query;
+    if (Array.isArray(orders) && orders.length > 0) {
+      if (!orders.every(id => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid order id'
+        });
+      }
+      query = { _id: { $in: orders }, orderStatus: { $nin: ['delivered', 'cancelled'] } };
+    } else if (isValidDate(date) && (slot || zone)) {
+      query = { deliveryDate: startOfDay(date), orderStatus: { $in: ASSIGNABLE_STATUSES } };
+      if (slot) query['deliverySlot.slot'] = slot;
+      if (zone) query['deliveryZone.zone'] = zone;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide orders, or a date with a slot or zone'
+      });
+    }
+
+    const result = await Order.updateMany(query, agent
+      ? { $set: { deliveryAgent: agent._id, assignedAt: new Date() } }
+      : { $unset: { deliveryAgent: 1, assignedAt: 1 } });
+
+    res.json({
+      success: true,
+      message: agent
+        ? `${result.modifiedCount} order(s) assigned to ${agent.name}`
+        : `${result.modifiedCount} order(s) unassigned`,
+      data: { matched: result.matchedCount, assigned: result.modifiedCount }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid slot or zone'
+      });
+    }
+    console.error('Assign orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning orders'
+    });
+  }
+};
+
+// @desc    Get my delivery run for a day (today by default)
+// @route   GET /api/delivery/run?date=
+// @access  Private/Delivery
+const getMyRun = async (req, res) => {
+  try {
+    const date = isValidDate(req.query.date) ? startOfDay(req.query.date) : storeToday();
+
+    const orders = await Order.find({
+      deliveryAgent: req.user._id,
+      deliveryDate: date,
+      orderStatus: { $ne: 'cancelled' }
+    })
+      .populate('user', 'name phone')
+      .select('-refunds -paymentIntentId -stripeCustomerId -paymentDetails')
+      .sort({ 'deliverySlot.startTime': 1, 'deliveryAddress.zipCode': 1, createdAt: 1 });
+
+    const run = orders.map(order => ({ ...order.toJSON(), codDue: getCodDue(order) }));
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        summary: {
+          total: orders.length,
+          delivered: orders.filter(order => order.orderStatus === 'delivered').length,
+          outForDelivery: orders.filter(order => order.orderStatus === 'out-for-delivery').length,
+          failed: orders.filter(order => order.failedDeliveries.some(failure => failure.failedAt >= date)).length,
+          codDue: roundAmount(run.reduce((sum, order) => sum + order.codDue, 0)),
+          codCollected: roundAmount(orders.reduce((sum, order) => sum + (order.codCollection?.amount || 0), 0))
+        },
+        orders: run
+      }
+    });
+  } catch (error) {
+    console.error('Get delivery run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching delivery run'
+    });
+  }
+};
+
+// @desc    Mark an assigned order out for delivery
+// @route   PUT /api/delivery/run/orders/:id/out-for-delivery
+// @access  Private/Delivery
+const markOutForDelivery = async (req, res) => {
+  try {
+    const order = await findAssignedOrder(req, res);
+    if (!order) return;
+
+    if (!Order.canTransition(order.orderStatus, 'out-for-delivery')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change order status from ${order.orderStatus} to out-for-delivery`
+      });
+    }
+
+    const changed = await changeOrderStatus(order, 'out-for-delivery', { by: req.user._id, note: req.body.note });
+    if (!changed) return statusConflict(res);
+
+    res.json({
+      success: true,
+      message: 'Order is out for delivery',
+      data: { order: changed }
+    });
+  } catch (error) {
+    console.error('Mark out for delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating order'
+    });
+  }
+};
+
+// @desc    Mark an assigned order delivered with proof of delivery
+// @route   PUT /api/delivery/run/orders/:id/delivered (multipart: photo, signature, latitude, longitude, accuracy, capturedAt)
+// @access  Private/Delivery
+const markDelivered = async (req, res) => {
+  try {
+    const { proof, error } = parseDeliveryProof(req);
+    if (error) {
+      removeUploads(req);
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const order = await findAssignedOrder(req, res);
+    if (!order) return removeUploads(req);
+
+    if (order.orderStatus !== 'out-for-delivery') {
+      removeUploads(req);
+      return res.status(400).json({
+        success: false,
+        message: 'Only orders that are out for delivery can be marked delivered'
+      });
+    }
+
+    const changed = await changeOrderStatus(order, 'delivered', {
+      by: req.user._id,
+      note: req.body.note,
+      update: { deliveryProof: proof }
+    });
+    if (!changed) {
+      removeUploads(req);
+      return statusConflict(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Order delivered',
+      data: { order: changed, codDue: getCodDue(changed) }
+    });
+  } catch (error) {
+    removeUploads(req);
+    console.error('Mark delivered error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating order'
+    });
+  }
+};
+
+// @desc    Record a failed delivery; the order goes back to packed for another attempt
+// @route   PUT /api/delivery/run/orders/:id/failed
+// @access  Private/Delivery
+const markDeliveryFailed = async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the reason the delivery failed'
+      });
+    }
+
+    const order = await findAssignedOrder(req, res);
+    if (!order) return;
+
+    if (order.orderStatus !== 'out-for-delivery') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only orders that are out for delivery can fail delivery'
+      });
+    }
+
+    const changed = await changeOrderStatus(order, 'packed', {
+      by: req.user._id,
+      note: `Delivery failed: ${reason}`,
+      push: { failedDeliveries: { reason, agent: req.user._id, failedAt: new Date() } }
+    });
+    if (!changed) return statusConflict(res);
+
+    res.json({
+      success: true,
+      message: 'Failed delivery recorded',
+      data: { order: changed }
+    });
+  } catch (error) {
+    console.error('Mark delivery failed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating order'
+    });
+  }
+};
+
+// @desc    Share my current position with the customers of my orders out for delivery
+// @route   PUT /api/delivery/run/location
+// @access  Private/Delivery
+const updateLocation = async (req, res) => {
+  try {
+    const latitude = parseFloat(req.body.latitude);
+    const longitude = parseFloat(req.body.longitude);
+    if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide valid GPS coordinates'
+      });
+    }
+
+    const accuracy = parseFloat(req.body.accuracy);
+    const location = {
+      latitude,
+      longitude,
+      accuracy: accuracy >= 0 ? accuracy : undefined,
+      updatedAt: new Date()
+    };
+
+    const query = { deliveryAgent: req.user._id, orderStatus: 'out-for-delivery' };
+    const orders = await Order.find(query).select('user orderNumber');
+    if (orders.length > 0) {
+      await Order.updateMany({ ...query, _id: { $in: orders.map(order => order._id) } }, { $set: { agentLocation: location } });
+      orders.forEach(order => publishAgentLocation(order, location));
+    }
+
+    res.json({
+      success: true,
+      message: 'Location updated',
+      data: { orders: orders.length }
+    });
+  } catch (error) {
+    console.error('Update agent location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating location'
+    });
+  }
+};
+
+// @desc    Record cash collected for a cod order
+// @route   PUT /api/delivery/run/orders/:id/cod
+// @access  Private/Delivery
+const collectCod = async (req, res) => {
+  try {
+    const amount = roundAmount(parseFloat(req.body.amount));
+
+    if (!(amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the amount collected'
+      });
+    }
+
+    const order = await findAssignedOrder(req, res);
+    if (!order) return;
+
+    if (order.paymentMethod !== 'cod' || order.isPaid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has no cash to collect'
+      });
+    }
+
+    if (!['out-for-delivery', 'delivered'].includes(order.orderStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash can only be collected on delivery'
+      });
+    }
+
+    const due = getCodDue(order);
+    if (amount > due) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${due} is due on this order`
+      });
+    }
+
+    // Conditional on the amount we read, so a double submit isn't counted twice
+    const collected = roundAmount((order.codCollection?.amount || 0) + amount);
+    const isPaid = collected >= order.totalAmount;
+    const update = {
+      codCollection: { amount: collected, collectedBy: req.user._id, collectedAt: new Date() }
+    };
+    if (isPaid) {
+      Object.assign(update, { isPaid: true, paidAt: new Date(), paymentStatus: 'paid' });
+    }
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, 'codCollection.amount': order.codCollection?.amount ?? null, isPaid: false },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Collection changed in the meantime, please reload'
+      });
+    }
+    if (isPaid) publishOrderUpdate(updated, 'payment');
+
+    res.json({
+      success: true,
+      message: isPaid ? 'Cash collected in full' : 'Part payment recorded',
+      data: { order: updated, codDue: getCodDue(updated) }
+    });
+  } catch (error) {
+    console.error('Collect cod error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording cash collection'
+    });
+  }
+};
+
+module.exports = {
+  assignOrders,
+  getMyRun,
+  markOutForDelivery,
+  markDelivered,
+  markDeliveryFailed,
+  updateLocation,
+  collectCod
+};
@@ -0,0 +1,233 @@
+const MarkdownRule = require('../models/MarkdownRule');
+const Order = require('../models/Order');
+const Batch = require('../models/Batch');
+const Product = require('../models/Product');
+const { roundAmount } = require('../utils/wallet');
+const { isValidDate } = require('../utils/dates');
+
+const MARKDOWN_RULE_FIELDS = ['name', 'daysRemaining', 'discountPercent', 'categories', 'isActive'];
+
+const validationMessage = (error) => {
+  return Object.values(error.errors).map(val => val.message).join(', ');
+};
+
+// @desc    Get markdown rules
+// @route   GET /api/markdown-rules
+// @access  Private/Admin
+const getMarkdownRules = async (req, res) => {
+  try {
+    const markdownRules = await MarkdownRule.find().sort({ daysRemaining: 1, discountPercent: -1 });
+
+    res.json({
+      success: true,
+      data: { markdownRules }
+    });
+  } catch (error) {
+    console.error('Get markdown rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching markdown rules'
+    });
+  }
+};
+
+// @desc    Create markdown rule
+// @route   POST /api/markdown-rules
+// @access  Private/Admin
+const createMarkdownRule = async (req, res) => {
+  try {
+    const data = { createdBy: req.user._id };
+    MARKDOWN_RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const markdownRule = await MarkdownRule.create(data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Markdown rule created successfully',
+      data: { markdownRule }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    console.error('Create markdown rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating markdown rule'
+    });
+  }
+};
+
+// @desc    Update markdown rule
+// @route   PUT /api/markdown-rules/:id
+// @access  Private/Admin
+const updateMarkdownRule = async (req, res) => {
+  try {
+    const markdownRule = await MarkdownRule.findById(req.params.id);
+
+    if (!markdownRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Markdown rule not found'
+      });
+    }
+
+    MARKDOWN_RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) markdownRule[field] = req.body[field];
+    });
+    await markdownRule.save();
+
+    res.json({
+      success: true,
+      message: 'Markdown rule updated successfully',
+      data: { markdownRule }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    console.error('Update markdown rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating markdown rule'
+    });
+  }
+};
+
+// @desc    Delete markdown rule
+// @route   DELETE /api/markdown-rules/:id
+// @access  Private/Admin
+const deleteMarkdownRule = async (req, res) => {
+  try {
+    const markdownRule = await MarkdownRule.findById(req.params.id);
+
+    if (!markdownRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Markdown rule not found'
+      });
+    }
+
+    // Order lines refer to the rule in the markdown report, so deactivate instead
+    markdownRule.isActive = false;
+    await markdownRule.save();
+
+    res.json({
+      success: true,
+      message: 'Markdown rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete markdown rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting markdown rule'
+    });
+  }
+};
+
+// @desc    Markdown revenue versus stock written off, default last 30 days
+// @route   GET /api/markdown-rules/report?from=&to=
+// @access  Private/Admin
+const getMarkdownReport = async (req, res) => {
+  try {
+    const to = isValidDate(req.query.to) ? new Date(req.query.to) : new Date();
+    const from = isValidDate(req.query.from)
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    // Marked-down lines of orders that went ahead, at line prices before
+    // coupons and tax
+    const byRule = await Order.aggregate([
+      { $match: { createdAt: { $gte: from, $lte: to }, orderStatus: { $ne: 'cancelled' } } },
+      { $unwind: '$items' },
+      { $match: { 'items.markdown.percent': { $gt: 0 } } },
+      {
+        $group: {
+          _id: '$items.markdown.rule',
+          orders: { $addToSet: '$_id' },
+          units: { $sum: '$items.quantity' },
+          revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } },
+          fullPriceValue: { $sum: { $multiply: ['$items.originalPrice', '$items.quantity'] } }
+        }
+      },
+      { $lookup: { from: 'markdownrules', localField: '_id', foreignField: '_id', as: 'rule' } }
+    ]);
+
+    const rules = byRule.map(group => ({
+      rule: group._id,
+      name: group.rule[0]?.name,
+      discountPercent: group.rule[0]?.discountPercent,
+      orders: group.orders.length,
+      units: group.units,
+      revenue: roundAmount(group.revenue),
+      discountGiven: roundAmount(group.fullPriceValue - group.revenue)
+    }));
+
+    // Units left to expire and written off, valued at the variant's list price
+    const writtenOff = await Batch.find({
+      writtenOffAt: { $gte: from, $lte: to },
+      writtenOffQuantity: { $gt: 0 }
+    });
+    const products = await Product.find({ _id: { $in: writtenOff.map(batch => batch.product) } })
+      .select('variants');
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const wastage = writtenOff.reduce((totals, batch) => {
+      const variant = productsById.get(batch.product.toString())?.getVariant(batch.variant);
+      totals.batches += 1;
+      totals.units += batch.writtenOffQuantity;
+      totals.value += (variant ? variant.price : 0) * batch.writtenOffQuantity;
+      return totals;
+    }, { batches: 0, units: 0, value: 0 });
+
+    const markdownUnits = rules.reduce((sum, rule) => sum + rule.units, 0);
+    const markdownRevenue = rules.reduce((sum, rule) => sum + rule.revenue, 0);
+    const discountGiven = rules.reduce((sum, rule) => sum + rule.discountGiven, 0);
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        markdowns: {
+          units: markdownUnits,
+          revenue: roundAmount(markdownRevenue),
+          discountGiven: roundAmount(discountGiven),
+          byRule: rules
+        },
+        // Near-expiry units sold instead of being thrown away
+        wasteAvoided: {
+          units: markdownUnits,
+          value: roundAmount(markdownRevenue + discountGiven)
+        },
+        wastage: {
+          batches: wastage.batches,
+          units: wastage.units,
+          value: roundAmount(wastage.value)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get markdown report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building markdown report'
+    });
+  }
+};
+
+module.exports = {
+  getMarkdownRules,
+  createMarkdownRule,
+  updateMarkdownRule,
+  deleteMarkdownRule,
+  getMarkdownReport
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+
+// @desc    Get my notifications, newest first, with the unread count
+// @route   GET /api/notifications?unread=true
+// @access  Private
+const getNotifications = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { user: req.user._id };
+    if (req.query.unread === 'true') query.readAt = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: req.user._id, readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notifications'
+    });
+  }
+};
+
+// @desc    Mark one of my notifications read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markRead = async (req, res) => {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.id)
+      ? await Notification.findOne({ _id: req.params.id, user: req.user._id })
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification }
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification'
+    });
+  }
+};
+
+// @desc    Mark all my notifications read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notifications'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markRead,
+  markAllRead
+};
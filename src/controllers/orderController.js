@@ -1,14 +1,60 @@
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
+const StockHold = require('../models/StockHold');
+const { priceOrder, placeOrder, changeOrderStatus, releaseCancelledOrder } = require('../utils/orderPlacement');
+const { buildPricing } = require('../utils/pricing');
+const { getOrCreateCart, emptyCart, repriceCart } = require('../utils/cart');
+const { isInvoiceable, getOrIssueInvoice, renderInvoicePdf } = require('../utils/invoices');
+const { cancelPaymentIntent } = require('../utils/stockHolds');
+const { refundOrder } = require('../utils/refunds');
+const { isStripeError, getOrCreateCustomer, getCustomerCard } = require('../utils/stripeCustomers');
+const { isValidDate, startOfDay, addDays, toDateKey } = require('../utils/dates');
+const { ADMIN_CHANNEL, userChannel, orderSummary, openStream } = require('../utils/realtime');
+const archiver = require('archiver');
+const path = require('path');
 const Stripe = require('stripe');
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || '');
 
+const DELIVERY_PROOF_DIR = path.join(__dirname, '..', '..', 'uploads', 'deliveries');
+
+// Refund whatever is left on a cancelled paid order. A failed refund is
+// logged rather than failing the cancellation; it can be retried from the
+// admin refund endpoint.
+const refundCancelledOrder = async (order, by) => {
+  if (!['card', 'wallet'].includes(order.paymentMethod) || order.getRefundableAmount() <= 0) return;
+
+  try {
+    await refundOrder(order, null, { reason: `Order ${order.orderNumber} cancelled`, by });
+  } catch (error) {
+    console.error(`Refund for cancelled order ${order.orderNumber} failed:`, error.message);
+  }
+};
+
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private
 const createOrder = async (req, res) => {
   try {
-    const { items, deliveryAddress, contactNumber, deliveryDate, paymentMethod = 'cod' } = req.body;
+    const { deliveryAddress, contactNumber, deliveryDate, deliverySlot, paymentMethod = 'cod', couponCode, fromCart } = req.body;
+    let { items } = req.body;
+
+    // Check out the saved cart; any change since the user last saw it
+    // (price, stock, availability) must be reviewed first
+    let cart = null;
+    if (fromCart) {
+      cart = await getOrCreateCart(req.user._id);
+      const view = await repriceCart(cart);
+
+      if (view.hasIssues) {
+        return res.status(409).json({
+          success: false,
+          message: 'Your cart has changed. Please review it before checking out',
+          data: { cart: view }
+        });
+      }
+
+      items = cart.items.map(item => ({ product: item.product, variant: item.variant, quantity: item.quantity }));
+    }
 
     // Validation
     if (!items || !Array.isArray(items) || items.length === 0) {
@@ -18,75 +64,59 @@ const createOrder = async (req, res) => {
       });
     }
 
-    if (!deliveryAddress || !contactNumber || !deliveryDate) {
+    if (!deliveryAddress || !contactNumber || !deliveryDate || !deliverySlot) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide delivery address, contact number, and delivery date'
+        message: 'Please provide delivery address, contact number, delivery date and delivery slot'
       });
     }
 
-    let totalAmount = 0;
-    const orderItems = [];
-
-    // Process each item
-    for (const item of items) {
-      const product = await Product.findById(item.product);
+    if (!isValidDate(deliveryDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid delivery date'
+      });
+    }
 
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product not found: ${item.product}`
-        });
-      }
+    if (!mongoose.isValidObjectId(deliverySlot)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid delivery slot'
+      });
+    }
 
-      if (!product.isAvailable) {
-        return res.status(400).json({
-          success: false,
-          message: `Product is not available: ${product.name}`
-        });
-      }
+    if (!['cod', 'card', 'wallet'].includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment method'
+      });
+    }
 
-      if (product.quantity < item.quantity) {
-        return res.status(400).json({
+    let order;
+    try {
+      order = await placeOrder({
+        user: req.user._id,
+        items,
+        deliveryAddress,
+        contactNumber,
+        deliveryDate,
+        deliverySlot,
+        paymentMethod,
+        couponCode
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
           success: false,
-          message: `Insufficient quantity for: ${product.name}. Available: ${product.quantity}`
+          message: error.message
         });
       }
-
-      const itemTotal = product.price * item.quantity;
-      totalAmount += itemTotal;
-
-      orderItems.push({
-        product: product._id,
-        name: product.name,
-        price: product.price,
-        quantity: item.quantity,
-        image: product.images[0]?.url || ''
-      });
-
-      // Update product quantity for COD orders immediately
-      // For card payments, we'll update after successful payment
-      if (paymentMethod === 'cod') {
-        product.quantity -= item.quantity;
-        if (product.quantity === 0) {
-          product.isAvailable = false;
-        }
-        await product.save();
-      }
+      throw error;
     }
 
-    // Create order
-    const order = await Order.create({
-      user: req.user._id,
-      items: orderItems,
-      deliveryAddress,
-      contactNumber,
-      totalAmount,
-      paymentMethod,
-      deliveryDate: new Date(deliveryDate),
-      paymentStatus: paymentMethod === 'cod' ? 'pending' : 'pending',
-      orderStatus: paymentMethod === 'cod' ? 'pending' : 'pending'
-    });
+    if (cart) {
+      await emptyCart(cart);
+    }
 
     // Populate order for response
     await order.populate('user', 'name email phone');
@@ -109,8 +139,65 @@ const createOrder = async (req, res) => {
   }
 };
 
+// @desc    Preview a coupon against the items in the cart
+// @route   POST /api/orders/validate-coupon
+// @access  Private
+const validateCoupon = async (req, res) => {
+  try {
+    const { code, items } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a coupon code'
+      });
+    }
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the items to apply the coupon to'
+      });
+    }
+
+    let priced;
+    try {
+      priced = await priceOrder({ user: req.user._id, items, couponCode: code });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    const { coupon, discount, eligibleSubtotal } = priced.couponResult;
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        code: coupon.code,
+        description: coupon.description,
+        discount,
+        eligibleSubtotal,
+        // Delivery fee is added at checkout
+        pricing: buildPricing(priced.orderItems, priced.discounts, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while validating coupon'
+    });
+  }
+};
+
 // @desc    Get all orders (Admin)
-// @route   GET /api/orders
+// @route   GET /api/orders?agent=
 // @access  Private/Admin
 const getOrders = async (req, res) => {
   try {
@@ -118,14 +205,26 @@ const getOrders = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const orders = await Order.find()
+    const query = {};
+    if (req.query.agent) {
+      if (req.query.agent !== 'none' && !mongoose.isValidObjectId(req.query.agent)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery agent id'
+        });
+      }
+      query.deliveryAgent = req.query.agent === 'none' ? null : req.query.agent;
+    }
+
+    const orders = await Order.find(query)
       .populate('user', 'name email phone')
       .populate('items.product', 'name images')
+      .populate('deliveryAgent', 'name phone')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await Order.countDocuments();
+    const total = await Order.countDocuments(query);
 
     res.json({
       success: true,
@@ -164,17 +263,44 @@ const getOrder = async (req, res) => {
       });
     }
 
-    // Check if user owns the order or is admin
-    if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user owns the order, delivers it or is admin
+    const isAgent = req.user.role === 'delivery' && order.deliveryAgent?.toString() === req.user._id.toString();
+    if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin' && !isAgent) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this order'
       });
     }
 
+    const isAdmin = req.user.role === 'admin';
+    if (isAdmin) {
+      await order.populate('statusHistory.changedBy', 'name role');
+    }
+
+    // Orders placed before history was recorded only have their creation time
+    const history = order.statusHistory.length > 0
+      ? order.statusHistory
+      : [{ to: 'pending', changedAt: order.createdAt }];
+
+    const timeline = history.map(entry => ({
+      status: entry.to,
+      from: entry.from || null,
+      at: entry.changedAt,
+      note: entry.note,
+      ...(isAdmin ? { changedBy: entry.changedBy } : {})
+    }));
+
+    const proof = order.deliveryProof?.photo ? {
+      photoUrl: `/api/orders/${order._id}/proof/photo`,
+      signatureUrl: order.deliveryProof.signature ? `/api/orders/${order._id}/proof/signature` : null,
+      location: order.deliveryProof.location,
+      capturedAt: order.deliveryProof.capturedAt,
+      recordedAt: order.deliveryProof.recordedAt
+    } : null;
+
     res.json({
       success: true,
-      data: { order }
+      data: { order, timeline, proof }
     });
   } catch (error) {
     console.error('Get order error:', error);
@@ -185,12 +311,127 @@ const getOrder = async (req, res) => {
   }
 };
 
+// @desc    Get a proof of delivery photo or signature
+// @route   GET /api/orders/:id/proof/:file (photo or signature)
+// @access  Private
+const getDeliveryProof = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user deliveryAgent deliveryProof');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const isAgent = req.user.role === 'delivery' && order.deliveryAgent?.toString() === req.user._id.toString();
+    if (order.user.toString() !== req.user._id.toString() && req.user.role !== 'admin' && !isAgent) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this order'
+      });
+    }
+
+    const filename = ['photo', 'signature'].includes(req.params.file) ? order.deliveryProof?.[req.params.file] : null;
+    if (!filename) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proof of delivery not found'
+      });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.sendFile(path.join(DELIVERY_PROOF_DIR, path.basename(filename)), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Proof of delivery not found'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Get delivery proof error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching proof of delivery'
+    });
+  }
+};
+
+// @desc    Stream live updates on my orders; admins get every order, including new ones
+// @route   GET /api/orders/stream (Server-Sent Events, token as Bearer header or ?token=)
+// @access  Private
+const streamOrders = async (req, res) => {
+  try {
+    const channel = req.user.role === 'admin' ? ADMIN_CHANNEL : userChannel(req.user._id);
+    const send = openStream(req, res, channel);
+    send('connected', { channel: req.user.role === 'admin' ? 'admin' : 'orders' });
+  } catch (error) {
+    console.error('Stream orders error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error while opening order stream'
+      });
+    }
+  }
+};
+
+// @desc    Stream live status, payment and delivery agent location for one order
+// @route   GET /api/orders/:id/stream (Server-Sent Events, token as Bearer header or ?token=)
+// @access  Private
+const streamOrder = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this order'
+      });
+    }
+
+    // The owner's channel also carries agent locations, so admins listen there too
+    const orderId = order._id.toString();
+    const send = openStream(req, res, userChannel(order.user), message => message.data.order?.toString() === orderId);
+
+    // Current state first, so the client needn't fetch the order as well
+    send('order-status', orderSummary(order));
+    if (order.orderStatus === 'out-for-delivery' && order.agentLocation?.updatedAt) {
+      send('agent-location', {
+        order: order._id,
+        orderNumber: order.orderNumber,
+        latitude: order.agentLocation.latitude,
+        longitude: order.agentLocation.longitude,
+        accuracy: order.agentLocation.accuracy,
+        updatedAt: order.agentLocation.updatedAt
+      });
+    }
+  } catch (error) {
+    console.error('Stream order error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error while opening order stream'
+      });
+    }
+  }
+};
+
 // @desc    Update order status
 // @route   PUT /api/orders/:id/status
 // @access  Private/Admin
 const updateOrderStatus = async (req, res) => {
   try {
-    const { orderStatus, cancellationReason } = req.body;
+    const { orderStatus, cancellationReason, note } = req.body;
 
     const order = await Order.findById(req.params.id);
 
@@ -201,28 +442,50 @@ const updateOrderStatus = async (req, res) => {
       });
     }
 
+    if (orderStatus && !Order.canTransition(order.orderStatus, orderStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change order status from ${order.orderStatus} to ${orderStatus}`,
+        data: { allowed: Order.ORDER_STATUS_TRANSITIONS[order.orderStatus] || [] }
+      });
+    }
+
     const updateData = {};
-    if (orderStatus) updateData.orderStatus = orderStatus;
     if (cancellationReason) updateData.cancellationReason = cancellationReason;
 
-    // If order is cancelled, restore product quantities
-    if (orderStatus === 'cancelled' && order.orderStatus !== 'cancelled') {
-      for (const item of order.items) {
-        const product = await Product.findById(item.product);
-        if (product) {
-          product.quantity += item.quantity;
-          product.isAvailable = true;
-          await product.save();
-        }
+    if (orderStatus === 'cancelled') {
+      // Restore product quantities and the delivery slot
+      const cancelled = await releaseCancelledOrder(order, updateData, { by: req.user._id, note });
+
+      if (!cancelled) {
+        return res.status(409).json({
+          success: false,
+          message: 'Order status changed in the meantime, please reload'
+        });
+      }
+
+      if (cancelled.isPaid) {
+        await refundCancelledOrder(cancelled, req.user._id);
+      } else {
+        await cancelPaymentIntent(cancelled.paymentIntentId);
       }
+    } else if (orderStatus) {
+      const changed = await changeOrderStatus(order, orderStatus, { by: req.user._id, note, update: updateData });
+
+      if (!changed) {
+        return res.status(409).json({
+          success: false,
+          message: 'Order status changed in the meantime, please reload'
+        });
+      }
+    } else if (cancellationReason) {
+      await Order.updateOne({ _id: order._id }, updateData, { runValidators: true });
     }
 
-    const updatedOrder = await Order.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('user', 'name email phone')
-     .populate('items.product', 'name images');
+    const updatedOrder = await Order.findById(req.params.id)
+      .populate('user', 'name email phone')
+      .populate('items.product', 'name images')
+      .populate('statusHistory.changedBy', 'name role');
 
     res.json({
       success: true,
@@ -301,28 +564,111 @@ const createPayment = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Order already paid' });
     }
 
-    // Amount should be in the smallest currency unit (cents)
-    const amount = Math.round(order.totalAmount * 100);
+    if (order.orderStatus === 'cancelled') {
+      return res.status(400).json({ success: false, message: 'Order has been cancelled' });
+    }
+
+    const hold = await StockHold.findOne({ order: order._id, status: 'active' });
+    if (order.paymentMethod === 'card' && !hold) {
+      return res.status(400).json({ success: false, message: 'Payment window for this order has expired' });
+    }
+
+    // A new PaymentIntent replaces any earlier one, which must not stay
+    // payable. It is detached from the order first so its cancellation
+    // webhook doesn't cancel the order.
+    if (order.paymentIntentId) {
+      const previousIntentId = order.paymentIntentId;
+      order.paymentIntentId = undefined;
+      await order.save();
+
+      if (!(await cancelPaymentIntent(previousIntentId))) {
+        order.paymentIntentId = previousIntentId;
+        await order.save();
+        return res.status(400).json({ success: false, message: 'A payment for this order is already being processed' });
+      }
+    }
+
+    const { paymentMethodId, savePaymentMethod } = req.body;
+    const customerId = await getOrCreateCustomer(req.user);
+    const savedCard = paymentMethodId ? await getCustomerCard(customerId, paymentMethodId) : null;
 
-    const paymentIntent = await stripe.paymentIntents.create({
+    // Charge the grand total including tax and delivery, in the smallest
+    // currency unit (cents)
+    const amount = Math.round((order.pricing?.grandTotal ?? order.totalAmount) * 100);
+
+    const params = {
       amount,
       currency: process.env.STRIPE_CURRENCY || 'usd',
+      customer: customerId,
       metadata: { orderId: order._id.toString(), userId: req.user._id.toString() }
-    });
+    };
+
+    if (savedCard) {
+      // One-click checkout: charge the saved card straight away
+      Object.assign(params, { payment_method: savedCard.id, confirm: true, off_session: true });
+    } else if (savePaymentMethod) {
+      params.setup_future_usage = 'off_session';
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.create(params);
+    } catch (error) {
+      const failedIntent = savedCard && error.type === 'StripeCardError' ? error.raw?.payment_intent : null;
+      if (!failedIntent) throw error;
+
+      // The bank wants the customer present (3D Secure); the client finishes
+      // this PaymentIntent on-session with the returned client secret
+      if (error.code === 'authentication_required') {
+        paymentIntent = failedIntent;
+      } else {
+        // Declined. The intent was never stored on the order, so the order
+        // stays payable with another card.
+        await cancelPaymentIntent(failedIntent.id);
+        return res.status(402).json({ success: false, message: error.message || 'Card was declined' });
+      }
+    }
 
     // Save paymentIntent id on order for later reference
     order.paymentIntentId = paymentIntent.id;
     order.paymentMethod = 'card';
+    order.stripeCustomerId = customerId;
+    if (savedCard) {
+      order.paymentDetails = {
+        paymentMethod: savedCard.id,
+        last4: savedCard.card?.last4,
+        brand: savedCard.card?.brand
+      };
+    }
     await order.save();
 
+    if (hold) {
+      hold.paymentIntentId = paymentIntent.id;
+      await hold.save();
+    }
+
+    // The webhook confirms the order once the payment has succeeded
     res.status(200).json({
       success: true,
       data: {
         clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id
+        paymentIntentId: paymentIntent.id,
+        status: paymentIntent.status,
+        requiresAction: paymentIntent.status === 'requires_action',
+        holdExpiresAt: hold ? hold.expiresAt : undefined
       }
     });
   } catch (error) {
+    if (error.type === 'StripeCardError') {
+      return res.status(402).json({ success: false, message: error.message || 'Card was declined' });
+    }
+    if (isStripeError(error)) {
+      console.error('Stripe payment error:', error);
+      return res.status(502).json({ success: false, message: 'Payment provider error, please try again' });
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('Create payment error:', error);
     res.status(500).json({ success: false, message: 'Server error while creating payment' });
   }
@@ -363,24 +709,30 @@ const cancelOrder = async (req, res) => {
       });
     }
 
-    // Restore product quantities
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        product.quantity += item.quantity;
-        product.isAvailable = true;
-        await product.save();
-      }
+    // Restore product quantities and the delivery slot
+    const cancelled = await releaseCancelledOrder(order, { cancellationReason: reason }, {
+      fromStatuses: ['pending', 'confirmed'],
+      by: req.user._id
+    });
+
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order cannot be cancelled at this stage'
+      });
     }
 
-    order.orderStatus = 'cancelled';
-    order.cancellationReason = reason;
-    await order.save();
+    // Card payments go back to the card, wallet payments to the wallet
+    if (cancelled.isPaid) {
+      await refundCancelledOrder(cancelled, req.user._id);
+    } else {
+      await cancelPaymentIntent(cancelled.paymentIntentId);
+    }
 
     res.json({
       success: true,
       message: 'Order cancelled successfully',
-      data: { order }
+      data: { order: cancelled }
     });
   } catch (error) {
     console.error('Cancel order error:', error);
@@ -391,14 +743,252 @@ const cancelOrder = async (req, res) => {
   }
 };
 
+// @desc    Get stock holds for unpaid card orders (Admin)
+// @route   GET /api/orders/holds
+// @access  Private/Admin
+const getStockHolds = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { status: req.query.status || 'active' };
+
+    const holds = await StockHold.find(query)
+      .populate('order', 'orderNumber totalAmount orderStatus paymentStatus')
+      .populate('user', 'name email phone')
+      .populate('items.product', 'name quantity')
+      .sort({ expiresAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await StockHold.countDocuments(query);
+
+    // Units currently held per product, across all active holds
+    const heldByProduct = await StockHold.aggregate([
+      { $match: { status: 'active' } },
+      { $unwind: '$items' },
+      { $group: { _id: '$items.product', quantity: { $sum: '$items.quantity' }, holds: { $sum: 1 } } },
+      { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } },
+      { $project: { quantity: 1, holds: 1, name: { $arrayElemAt: ['$product.name', 0] } } },
+      { $sort: { quantity: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        holds,
+        heldByProduct,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get stock holds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching stock holds'
+    });
+  }
+};
+// @desc    Refund an order fully or partially (Admin)
+// @route   POST /api/orders/:id/refund
+// @access  Private/Admin
+const createRefund = async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for the refund'
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const { refund, order: refundedOrder } = await refundOrder(order, amount, {
+      reason: reason.trim(),
+      by: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: refund.status === 'succeeded' ? 'Refund issued successfully' : `Refund ${refund.status}`,
+      data: {
+        refund,
+        refundedAmount: refundedOrder.refundedAmount,
+        refundableAmount: refundedOrder.getRefundableAmount(),
+        paymentStatus: refundedOrder.paymentStatus
+      }
+    });
+  } catch (error) {
+    if (isStripeError(error)) {
+      console.error('Stripe refund error:', error);
+      return res.status(502).json({
+        success: false,
+        message: `Stripe refund failed: ${error.message}`
+      });
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating refund'
+    });
+  }
+};
+
+// @desc    Download the PDF invoice for an order
+// @route   GET /api/orders/:id/invoice
+// @access  Private
+const getInvoice = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('user', 'name email phone');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this order'
+      });
+    }
+
+    let invoice;
+    try {
+      invoice = await getOrIssueInvoice(order);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    const pdf = await renderInvoicePdf(invoice, order);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.invoiceNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating invoice'
+    });
+  }
+};
+
+// @desc    Export invoices for orders placed in a date range as a ZIP (Admin)
+// @route   GET /api/orders/invoices/export?from=&to=
+// @access  Private/Admin
+const exportInvoices = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!isValidDate(from) || !isValidDate(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide valid from and to dates'
+      });
+    }
+
+    const start = startOfDay(from);
+    const end = addDays(startOfDay(to), 1);
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'The from date must not be after the to date'
+      });
+    }
+
+    const orders = await Order.find({
+      createdAt: { $gte: start, $lt: end },
+      $or: [{ isPaid: true }, { orderStatus: 'delivered' }]
+    })
+      .populate('user', 'name email phone')
+      .sort({ createdAt: 1 });
+
+    if (orders.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No invoiceable orders in this date range'
+      });
+    }
+
+    const archive = archiver('zip');
+    archive.on('error', (error) => {
+      console.error('Invoice export archive error:', error);
+      res.destroy(error);
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="invoices-${toDateKey(start)}-to-${toDateKey(addDays(end, -1))}.zip"`
+    });
+    archive.pipe(res);
+
+    // One at a time so a large range doesn't hold every PDF in memory
+    for (const order of orders) {
+      if (!isInvoiceable(order)) continue;
+      const invoice = await getOrIssueInvoice(order);
+      archive.append(await renderInvoicePdf(invoice, order), { name: `${invoice.invoiceNumber}.pdf` });
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    console.error('Export invoices error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting invoices'
+    });
+  }
+};
 
-// Add these new routes to your orderController.js exports:
 module.exports = {
   createOrder,
+  validateCoupon,
   getOrders,
   getOrder,
   updateOrderStatus,
   getMyOrders,
   cancelOrder,
-  createPayment
+  createPayment,
+  getStockHolds,
+  createRefund,
+  getInvoice,
+  exportInvoices,
+  getDeliveryProof,
+  streamOrders,
+  streamOrder
 };
\ No newline at end of file
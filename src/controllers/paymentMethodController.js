@@ -0,0 +1,138 @@
+const Stripe = require('stripe');
+const { isStripeError, getOrCreateCustomer, listCards, getCustomerCard } = require('../utils/stripeCustomers');
+
+const getStripe = () => new Stripe(process.env.STRIPE_SECRET_KEY || '');
+
+const stripeNotConfigured = (res) => {
+  return res.status(500).json({ success: false, message: 'Stripe secret key not configured on server' });
+};
+
+// Stripe errors carry their own statusCode; answer them before our own errors
+const sendStripeError = (res, error, context) => {
+  if (error.type === 'StripeCardError') {
+    return res.status(402).json({ success: false, message: error.message });
+  }
+  console.error(`${context}:`, error);
+  return res.status(502).json({ success: false, message: 'Payment provider error, please try again' });
+};
+
+// @desc    Start saving a card; the client confirms the SetupIntent with Stripe.js
+// @route   POST /api/payment-methods/setup-intent
+// @access  Private
+const createSetupIntent = async (req, res) => {
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) return stripeNotConfigured(res);
+
+    const customerId = await getOrCreateCustomer(req.user);
+
+    const setupIntent = await getStripe().setupIntents.create({
+      customer: customerId,
+      payment_method_types: ['card'],
+      usage: 'off_session',
+      metadata: { userId: req.user._id.toString() }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        clientSecret: setupIntent.client_secret,
+        setupIntentId: setupIntent.id
+      }
+    });
+  } catch (error) {
+    if (isStripeError(error)) return sendStripeError(res, error, 'Stripe create setup intent error');
+    console.error('Create setup intent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting card setup'
+    });
+  }
+};
+
+// @desc    Get saved cards
+// @route   GET /api/payment-methods
+// @access  Private
+const getPaymentMethods = async (req, res) => {
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) return stripeNotConfigured(res);
+
+    const cards = req.user.stripeCustomerId ? await listCards(req.user.stripeCustomerId) : [];
+
+    res.json({
+      success: true,
+      data: { cards }
+    });
+  } catch (error) {
+    if (isStripeError(error)) return sendStripeError(res, error, 'Stripe get payment methods error');
+    console.error('Get payment methods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching saved cards'
+    });
+  }
+};
+
+// @desc    Make a saved card the default for one-click payments
+// @route   PUT /api/payment-methods/:id/default
+// @access  Private
+const setDefaultPaymentMethod = async (req, res) => {
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) return stripeNotConfigured(res);
+
+    await getCustomerCard(req.user.stripeCustomerId, req.params.id);
+
+    await getStripe().customers.update(req.user.stripeCustomerId, {
+      invoice_settings: { default_payment_method: req.params.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Default card updated successfully',
+      data: { cards: await listCards(req.user.stripeCustomerId) }
+    });
+  } catch (error) {
+    if (isStripeError(error)) return sendStripeError(res, error, 'Stripe set default payment method error');
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Set default payment method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating default card'
+    });
+  }
+};
+
+// @desc    Remove a saved card
+// @route   DELETE /api/payment-methods/:id
+// @access  Private
+const deletePaymentMethod = async (req, res) => {
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) return stripeNotConfigured(res);
+
+    await getCustomerCard(req.user.stripeCustomerId, req.params.id);
+    await getStripe().paymentMethods.detach(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Card removed successfully'
+    });
+  } catch (error) {
+    if (isStripeError(error)) return sendStripeError(res, error, 'Stripe delete payment method error');
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Delete payment method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing card'
+    });
+  }
+};
+
+module.exports = {
+  createSetupIntent,
+  getPaymentMethods,
+  setDefaultPaymentMethod,
+  deletePaymentMethod
+};
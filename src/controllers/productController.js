@@ -1,4 +1,36 @@
 const Product = require('../models/Product');
+const { withMarkdowns } = require('../utils/markdowns');
+
+// Variants come as a JSON string from multipart forms or as an array from
+// JSON bodies. Returns null when none were sent.
+const parseVariants = (value) => {
+  if (value === undefined || value === '') return null;
+
+  const variants = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(variants) || variants.length === 0) {
+    throw new Error('Variants must be a non-empty list');
+  }
+
+  const skus = variants.map(variant => String(variant.sku || '').trim().toUpperCase());
+  if (new Set(skus).size !== skus.length) {
+    throw new Error('Variant SKUs must be unique');
+  }
+
+  return variants;
+};
+
+const productErrorMessage = (error) => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(err => err.message).join(', ');
+  }
+  if (error.code === 11000) {
+    return 'A variant with this SKU already exists';
+  }
+  if (error instanceof SyntaxError) {
+    return 'Variants must be valid JSON';
+  }
+  return error.message;
+};
 
 // @desc    Get all products
 // @route   GET /api/products
@@ -22,11 +54,19 @@ const getProducts = async (req, res) => {
       query.brand = new RegExp(req.query.brand, 'i');
     }
 
-    // Price range filter
+    // Price range filter, matching products with any active variant in range
+    const priceVariant = [{ $eq: ['$$variant.isActive', true] }];
     if (req.query.minPrice || req.query.maxPrice) {
-      query.price = {};
-      if (req.query.minPrice) query.price.$gte = parseFloat(req.query.minPrice);
-      if (req.query.maxPrice) query.price.$lte = parseFloat(req.query.maxPrice);
+      const price = {};
+      if (req.query.minPrice) {
+        price.$gte = parseFloat(req.query.minPrice);
+        priceVariant.push({ $gte: ['$$variant.price', price.$gte] });
+      }
+      if (req.query.maxPrice) {
+        price.$lte = parseFloat(req.query.maxPrice);
+        priceVariant.push({ $lte: ['$$variant.price', price.$lte] });
+      }
+      query.variants = { $elemMatch: { isActive: true, price } };
     }
 
     // Fat content filter
@@ -50,10 +90,10 @@ const getProducts = async (req, res) => {
     if (req.query.sort) {
       switch (req.query.sort) {
         case 'price-low':
-          sort = { price: 1 };
+          sort = { variantPrice: 1, _id: 1 };
           break;
         case 'price-high':
-          sort = { price: -1 };
+          sort = { variantPrice: -1, _id: 1 };
           break;
         case 'rating':
           sort = { 'rating.average': -1 };
@@ -68,17 +108,39 @@ const getProducts = async (req, res) => {
       sort = { createdAt: -1 };
     }
 
-    const products = await Product.find(query)
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
+    let products;
+    if (sort.variantPrice) {
+      // Price sorts use the variants the price filter matches: active ones
+      // in range, by the cheapest for price-low and the dearest for price-high
+      const prices = {
+        $map: {
+          input: { $filter: { input: '$variants', as: 'variant', cond: { $and: priceVariant } } },
+          as: 'variant',
+          in: '$$variant.price'
+        }
+      };
+      const docs = await Product.aggregate([
+        { $match: query },
+        { $addFields: { variantPrice: { [sort.variantPrice === 1 ? '$min' : '$max']: prices } } },
+        { $sort: sort },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: { variantPrice: 0 } }
+      ]);
+      products = docs.map(doc => Product.hydrate(doc));
+    } else {
+      products = await Product.find(query)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit);
+    }
 
     const total = await Product.countDocuments(query);
 
     res.json({
       success: true,
       data: {
-        products,
+        products: await withMarkdowns(products),
         pagination: {
           page,
           limit,
@@ -110,9 +172,11 @@ const getProduct = async (req, res) => {
       });
     }
 
+    const [productWithMarkdown] = await withMarkdowns([product]);
+
     res.json({
       success: true,
-      data: { product }
+      data: { product: productWithMarkdown }
     });
   } catch (error) {
     console.error('Get product error:', error);
@@ -139,41 +203,69 @@ const createProduct = async (req, res) => {
       storageInstructions,
       quantity,
       unit,
-      tags
+      tags,
+      taxRate
     } = req.body;
 
-    // Basic validation
-    if (!name || !description || !price || !category || !brand || !shelfLife || !quantity || !unit) {
+    let variants;
+    try {
+      variants = parseVariants(req.body.variants);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: productErrorMessage(error)
+      });
+    }
+
+    // Basic validation; price, stock and unit come from the variants when given
+    if (!name || !description || !category || !brand || !shelfLife ||
+        (!variants && (!price || !quantity || !unit))) {
       return res.status(400).json({
         success: false,
         message: 'Please provide all required fields'
       });
     }
 
-    const product = await Product.create({
+    const product = new Product({
       name,
       description,
-      price: parseFloat(price),
+      price: variants ? undefined : parseFloat(price),
       category,
       brand,
       nutritionalFacts: nutritionalFacts ? JSON.parse(nutritionalFacts) : {},
       shelfLife: parseInt(shelfLife),
       storageInstructions: storageInstructions || 'Store in refrigerator at 4°C or below',
-      quantity: parseInt(quantity),
-      unit,
+      quantity: variants ? undefined : parseInt(quantity),
+      unit: variants ? undefined : unit,
+      variants: variants || [],
       tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+      taxRate: taxRate || undefined,
       images: req.files ? req.files.map(file => ({
         url: `/uploads/products/${file.filename}`,
         alt: name
       })) : []
     });
 
+    // Single-pack products keep their bottle deposit on the default variant,
+    // which validation creates
+    if (!variants && req.body.deposit) {
+      await product.validate();
+      product.getVariant().deposit = parseFloat(req.body.deposit) || 0;
+    }
+    await product.save();
+
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
       data: { product }
     });
   } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: productErrorMessage(error)
+      });
+    }
     console.error('Create product error:', error);
     res.status(500).json({
       success: false,
@@ -197,7 +289,18 @@ const updateProduct = async (req, res) => {
       });
     }
 
+    let variants;
+    try {
+      variants = parseVariants(req.body.variants);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: productErrorMessage(error)
+      });
+    }
+
     const updateData = { ...req.body };
+    delete updateData.variants;
 
     // Parse nutritional facts if provided
     if (req.body.nutritionalFacts) {
@@ -223,9 +326,33 @@ const updateProduct = async (req, res) => {
     }
 
     // Handle numeric fields
-    if (req.body.price) updateData.price = parseFloat(req.body.price);
     if (req.body.shelfLife) updateData.shelfLife = parseInt(req.body.shelfLife);
-    if (req.body.quantity) updateData.quantity = parseInt(req.body.quantity);
+
+    // An admin putting the product on or off sale overrides a sell-out
+    if (req.body.isAvailable !== undefined) updateData.soldOut = false;
+
+    // Price, stock and unit belong to the variants; the product's own fields
+    // are recalculated from them on save. Variants sent with an _id keep it,
+    // so carts and orders that reference them stay valid; variants left out
+    // are removed.
+    delete updateData.price;
+    delete updateData.quantity;
+    delete updateData.unit;
+    delete updateData.deposit;
+    if (variants) {
+      product.variants = variants;
+    } else {
+      const defaultVariant = product.getVariant();
+      if (defaultVariant) {
+        if (req.body.price) defaultVariant.price = parseFloat(req.body.price);
+        if (req.body.quantity) defaultVariant.quantity = parseInt(req.body.quantity);
+        if (req.body.unit) defaultVariant.unit = req.body.unit;
+        if (req.body.deposit !== undefined) defaultVariant.deposit = parseFloat(req.body.deposit) || 0;
+      }
+    }
+
+    // An empty tax rate falls back to the category or default rate
+    if (req.body.taxRate === '') updateData.taxRate = null;
 
     // Handle new image uploads
     if (req.files && req.files.length > 0) {
@@ -239,11 +366,9 @@ const updateProduct = async (req, res) => {
       updateData.images = product.images;
     }
 
-    product = await Product.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    // Saved rather than updated in place so the variant totals are synced
+    product.set(updateData);
+    await product.save();
 
     res.json({
       success: true,
@@ -251,6 +376,12 @@ const updateProduct = async (req, res) => {
       data: { product }
     });
   } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: productErrorMessage(error)
+      });
+    }
     console.error('Update product error:', error);
     res.status(500).json({
       success: false,
@@ -275,6 +406,7 @@ const deleteProduct = async (req, res) => {
 
     // Instead of deleting, mark as unavailable
     product.isAvailable = false;
+    product.soldOut = false;
     await product.save();
 
     res.json({
@@ -1,5 +1,6 @@
 const Review = require('../models/Review');
 const Order = require('../models/Order');
+const { addToInbox, notifyAdmins } = require('../utils/inbox');
 
 // @desc    Create review
 // @route   POST /api/reviews
@@ -67,6 +68,15 @@ const createReview = async (req, res) => {
 
     await review.populate('user', 'name');
 
+    await notifyAdmins({
+      type: 'review_submitted',
+      title: `New ${review.rating}-star review to moderate`,
+      message: review.title || review.comment.slice(0, 100),
+      product: review.product,
+      review: review._id,
+      dedupeKey: `review_submitted:${review._id}`
+    });
+
     res.status(201).json({
       success: true,
       message: 'Review created successfully',
@@ -209,6 +219,17 @@ const updateReviewApproval = async (req, res) => {
       });
     }
 
+    if (review.isApproved && review.user) {
+      await addToInbox(review.user, {
+        type: 'review_approved',
+        title: `Your review of ${review.product?.name || 'a product'} is live`,
+        message: review.title || undefined,
+        product: review.product?._id,
+        review: review._id,
+        dedupeKey: `review_approved:${review._id}`
+      });
+    }
+
     res.json({
       success: true,
       message: `Review ${isApproved ? 'approved' : 'disapproved'} successfully`,
@@ -1,19 +1,205 @@
 const Stripe = require('stripe');
 const Order = require('../models/Order');
+const StripeEvent = require('../models/StripeEvent');
+const { creditTopUp } = require('../utils/wallet');
+const { settlePaidOrder, releaseHoldForOrder, cancelPaymentIntent } = require('../utils/stockHolds');
+const { refundOrder, syncStripeRefund, syncChargeRefunds } = require('../utils/refunds');
+const { notify } = require('../utils/notifications');
+const { notifyAdmins } = require('../utils/inbox');
+const { publishOrderUpdate } = require('../utils/realtime');
 
 // Helper to initialize Stripe
 const getStripe = () => new Stripe(process.env.STRIPE_SECRET_KEY || '');
 
+// A delivery still 'processing' after this long is assumed to have crashed
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Apply a verified Stripe event to our data. Kept separate from the HTTP
+// handler so failed events can be replayed from the event log.
+const processEvent = async (event) => {
+	switch (event.type) {
+		case 'payment_intent.succeeded': {
+			const paymentIntent = event.data.object;
+			const paymentId = paymentIntent.id;
+			const metadata = paymentIntent.metadata || {};
+			const orderId = metadata.orderId || null;
+
+			// Wallet top-ups are not tied to an order
+			if (metadata.type === 'wallet_topup') {
+				const amount = (paymentIntent.amount_received || paymentIntent.amount) / 100;
+				await creditTopUp(metadata.userId, amount, paymentId);
+				break;
+			}
+
+			let order = null;
+			if (orderId) order = await Order.findById(orderId);
+			if (!order) order = await Order.findOne({ paymentIntentId: paymentId });
+
+			if (order) {
+				const settled = await settlePaidOrder(order, paymentId);
+				order = settled.order;
+				publishOrderUpdate(order, 'payment');
+
+				if (settled.fulfillable) {
+					await notify('payment_succeeded', { user: order.user, order, dedupeKey: `payment_succeeded:${paymentId}` });
+				}
+
+				// Cancelled meanwhile, or the stock is gone: give the money back
+				if (!settled.fulfillable) {
+					try {
+						await refundOrder(order, null, { reason: 'Order could not be fulfilled' });
+					} catch (refundErr) {
+						console.error(`Order ${order.orderNumber} was paid but cannot be fulfilled; refund failed:`, refundErr.message);
+						await notifyAdmins({
+							type: 'refund_failed',
+							title: `Refund needed for order ${order.orderNumber}`,
+							message: `Paid after it could no longer be fulfilled; automatic refund failed: ${refundErr.message}`,
+							order: order._id,
+							dedupeKey: `refund_failed:${paymentId}`
+						});
+					}
+				}
+			}
+			break;
+		}
+
+		case 'payment_intent.payment_failed': {
+			const paymentIntent = event.data.object;
+			const paymentId = paymentIntent.id;
+
+			// Only the order's current intent counts; a replaced or declined
+			// one-click attempt must not cancel the order
+			const order = await Order.findOne({ paymentIntentId: paymentId });
+
+			if (order) {
+				order.isPaid = false;
+				order.paymentStatus = 'failed';
+				await order.save();
+				publishOrderUpdate(order, 'payment');
+				await notify('payment_failed', { user: order.user, order, dedupeKey: `payment_failed:${paymentId}` });
+				await notifyAdmins({
+					type: 'payment_failed',
+					title: `Payment failed for order ${order.orderNumber}`,
+					message: paymentIntent.last_payment_error?.message,
+					order: order._id,
+					dedupeKey: `admin_payment_failed:${paymentId}`
+				});
+
+				// Hand the held stock back and stop further attempts on this intent
+				if (await releaseHoldForOrder(order, 'Payment failed')) {
+					await cancelPaymentIntent(paymentId);
+				}
+			}
+			break;
+		}
+
+		case 'payment_intent.canceled': {
+			const paymentIntent = event.data.object;
+			const paymentId = paymentIntent.id;
+
+			const order = await Order.findOne({ paymentIntentId: paymentId });
+
+			if (order) {
+				order.paymentStatus = 'failed';
+				await order.save();
+
+				await releaseHoldForOrder(order, 'Payment cancelled');
+			}
+			break;
+		}
+
+		case 'charge.refunded': {
+			await syncChargeRefunds(event.data.object);
+			break;
+		}
+
+		case 'refund.created':
+		case 'refund.updated':
+		case 'charge.refund.updated': {
+			await syncStripeRefund(event.data.object);
+			break;
+		}
+
+		default:
+			console.log(`Unhandled event type ${event.type}`);
+	}
+};
+
+// Claim a stored event for processing. Only events that are new, failed, or
+// stuck mid-processing can be claimed, and the claim is a single conditional
+// update so two deliveries of the same event never both run it.
+const claimEvent = (filter) => {
+	return StripeEvent.findOneAndUpdate(
+		{
+			...filter,
+			$or: [
+				{ status: { $in: ['received', 'failed'] } },
+				{ status: 'processing', processingStartedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+			]
+		},
+		{ $set: { status: 'processing', processingStartedAt: new Date() }, $inc: { attempts: 1 } },
+		{ new: true }
+	);
+};
+
+// Log the event on first delivery, then claim it. Resolves to null when the
+// event was already processed or another delivery is working on it.
+const recordEvent = async (event) => {
+	try {
+		await StripeEvent.updateOne(
+			{ eventId: event.id },
+			{
+				$setOnInsert: {
+					eventId: event.id,
+					type: event.type,
+					livemode: !!event.livemode,
+					payload: event
+				}
+			},
+			{ upsert: true }
+		);
+	} catch (err) {
+		// Two first deliveries raced on the upsert; the other one inserted it
+		if (err.code !== 11000) throw err;
+	}
+
+	return claimEvent({ eventId: event.id });
+};
+
+// Run a claimed event and record the outcome on its log entry
+const runStoredEvent = async (storedEvent, event) => {
+	try {
+		await processEvent(event);
+	} catch (err) {
+		await StripeEvent.updateOne(
+			{ _id: storedEvent._id },
+			{ status: 'failed', error: err && err.message ? err.message : String(err) }
+		);
+		throw err;
+	}
+
+	await StripeEvent.updateOne(
+		{ _id: storedEvent._id },
+		{ $set: { status: 'processed', processedAt: new Date() }, $unset: { error: 1 } }
+	);
+};
+
 // Webhook handler expects raw body (Buffer)
 const webhookHandler = async (req, res) => {
-	const stripe = getStripe();
 	const sig = req.headers['stripe-signature'];
 	const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
+	// Without a secret anyone could post a fake payment_intent.succeeded;
+	// only allow that convenience in local development
+	if (!webhookSecret && process.env.NODE_ENV !== 'development') {
+		console.error('Rejected Stripe webhook: STRIPE_WEBHOOK_SECRET is not configured');
+		return res.status(400).send('Webhook Error: webhook secret not configured');
+	}
+
 	let event;
 	try {
 		if (webhookSecret) {
-			event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+			event = getStripe().webhooks.constructEvent(req.body, sig, webhookSecret);
 		} else {
 			const raw = req.body;
 			if (raw && raw instanceof Buffer) {
@@ -27,68 +213,26 @@ const webhookHandler = async (req, res) => {
 		return res.status(400).send(`Webhook Error: ${err && err.message ? err.message : 'invalid payload'}`);
 	}
 
-	try {
-		switch (event.type) {
-			case 'payment_intent.succeeded': {
-				const paymentIntent = event.data.object;
-				const paymentId = paymentIntent.id;
-				const metadata = paymentIntent.metadata || {};
-				const orderId = metadata.orderId || null;
-
-				let order = null;
-				if (orderId) order = await Order.findById(orderId);
-				if (!order) order = await Order.findOne({ paymentIntentId: paymentId });
-
-				if (order) {
-					order.isPaid = true;
-					order.paidAt = new Date();
-					order.paymentStatus = 'paid';
-					order.paymentIntentId = paymentId;
-					order.orderStatus = 'confirmed';
-					await order.save();
-				}
-				break;
-			}
-
-			case 'payment_intent.payment_failed': {
-				const paymentIntent = event.data.object;
-				const paymentId = paymentIntent.id;
-
-				let order = await Order.findOne({ paymentIntentId: paymentId });
-
-				if (!order && paymentIntent.metadata?.orderId) {
-					order = await Order.findById(paymentIntent.metadata.orderId);
-				}
-
-				if (order) {
-					order.isPaid = false;
-					order.paymentStatus = 'failed';
-					await order.save();
-				}
-				break;
-			}
-
-			case 'payment_intent.canceled': {
-				const paymentIntent = event.data.object;
-				const paymentId = paymentIntent.id;
-
-				let order = await Order.findOne({ paymentIntentId: paymentId });
-
-				if (!order && paymentIntent.metadata?.orderId) {
-					order = await Order.findById(paymentIntent.metadata.orderId);
-				}
+	if (!event || !event.id || !event.type) {
+		return res.status(400).send('Webhook Error: invalid event');
+	}
 
-				if (order) {
-					order.paymentStatus = 'failed';
-					await order.save();
-				}
-				break;
-			}
+	let storedEvent;
+	try {
+		storedEvent = await recordEvent(event);
+	} catch (err) {
+		console.error('Error recording webhook event:', err);
+		return res.status(500).send('Server error');
+	}
 
-			default:
-				console.log(`Unhandled event type ${event.type}`);
-		}
+	// Stripe delivers at least once; anything already handled (or being
+	// handled by a concurrent delivery) is acknowledged without re-running
+	if (!storedEvent) {
+		return res.json({ received: true, duplicate: true });
+	}
 
+	try {
+		await runStoredEvent(storedEvent, event);
 		res.json({ received: true });
 	} catch (err) {
 		console.error('Error handling webhook event:', err);
@@ -120,7 +264,127 @@ const testConnectivity = async (req, res) => {
 	}
 };
 
+// @desc    List received Stripe webhook events (Admin)
+// @route   GET /api/stripe/events
+// @access  Private/Admin
+const getEvents = async (req, res) => {
+	try {
+		const page = parseInt(req.query.page) || 1;
+		const limit = parseInt(req.query.limit) || 20;
+		const skip = (page - 1) * limit;
+
+		const query = {};
+		if (req.query.status) query.status = req.query.status;
+		if (req.query.type) query.type = req.query.type;
+		// e.g. a PaymentIntent id, to trace what happened to one payment
+		if (req.query.objectId) query['payload.data.object.id'] = req.query.objectId;
+
+		const events = await StripeEvent.find(query)
+			.select('-payload')
+			.sort({ createdAt: -1 })
+			.skip(skip)
+			.limit(limit);
+
+		const total = await StripeEvent.countDocuments(query);
+
+		res.json({
+			success: true,
+			data: {
+				events,
+				pagination: {
+					page,
+					limit,
+					total,
+					pages: Math.ceil(total / limit)
+				}
+			}
+		});
+	} catch (error) {
+		console.error('Get Stripe events error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Server error while fetching Stripe events'
+		});
+	}
+};
+
+// @desc    Get a Stripe webhook event with its payload (Admin)
+// @route   GET /api/stripe/events/:id
+// @access  Private/Admin
+const getEvent = async (req, res) => {
+	try {
+		const event = await StripeEvent.findById(req.params.id);
+
+		if (!event) {
+			return res.status(404).json({
+				success: false,
+				message: 'Stripe event not found'
+			});
+		}
+
+		res.json({
+			success: true,
+			data: { event }
+		});
+	} catch (error) {
+		console.error('Get Stripe event error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Server error while fetching Stripe event'
+		});
+	}
+};
+
+// @desc    Re-run a failed Stripe webhook event (Admin)
+// @route   POST /api/stripe/events/:id/replay
+// @access  Private/Admin
+const replayEvent = async (req, res) => {
+	try {
+		const existing = await StripeEvent.findById(req.params.id);
+
+		if (!existing) {
+			return res.status(404).json({
+				success: false,
+				message: 'Stripe event not found'
+			});
+		}
+
+		const storedEvent = await claimEvent({ _id: existing._id });
+		if (!storedEvent) {
+			return res.status(400).json({
+				success: false,
+				message: `Event is ${existing.status} and cannot be replayed`
+			});
+		}
+
+		try {
+			await runStoredEvent(storedEvent, storedEvent.payload);
+		} catch (err) {
+			return res.status(500).json({
+				success: false,
+				message: `Event replay failed: ${err.message}`,
+				data: { event: await StripeEvent.findById(existing._id).select('-payload') }
+			});
+		}
+
+		res.json({
+			success: true,
+			message: 'Event replayed successfully',
+			data: { event: await StripeEvent.findById(existing._id).select('-payload') }
+		});
+	} catch (error) {
+		console.error('Replay Stripe event error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Server error while replaying Stripe event'
+		});
+	}
+};
+
 module.exports = {
 	webhookHandler,
-	testConnectivity
-};
\ No newline at end of file
+	testConnectivity,
+	getEvents,
+	getEvent,
+	replayEvent
+};
@@ -0,0 +1,679 @@
+const mongoose = require('mongoose');
+const Subscription = require('../models/Subscription');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { generateOrdersForDate } = require('../jobs/subscriptionScheduler');
+const { findZone } = require('../utils/deliveryZones');
+const { startOfDay, addDays, isSameDay, isValidDate } = require('../utils/dates');
+
+// Check requested items against the catalogue and normalise them
+const validateItems = async (items) => {
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return { error: 'Subscription must have at least one item' };
+  }
+
+  const validItems = [];
+  for (const item of items) {
+    const quantity = parseInt(item.quantity);
+    if (!item.product || !quantity || quantity < 1) {
+      return { error: 'Each item needs a product and a quantity of at least 1' };
+    }
+
+    const product = await Product.findById(item.product);
+    if (!product) {
+      return { error: `Product not found: ${item.product}`, status: 404 };
+    }
+    if (!product.isAvailable) {
+      return { error: `Product is not available: ${product.name}` };
+    }
+
+    const variant = product.getVariant(item.variant);
+    if (!variant || !variant.isActive) {
+      return { error: `Variant is not available for: ${product.name}` };
+    }
+
+    validItems.push({ product: product._id, variant: variant._id, quantity });
+  }
+
+  return { items: validItems };
+};
+
+// A date's order may already have been generated; changing the plan for that
+// date afterwards would silently diverge from what gets delivered.
+const findGeneratedOrder = (subscription, date) => {
+  return Order.findOne({
+    subscription: subscription._id,
+    deliveryDate: startOfDay(date),
+    orderStatus: { $ne: 'cancelled' }
+  });
+};
+
+const findOwnSubscription = async (req, res) => {
+  const subscription = await Subscription.findById(req.params.id);
+
+  if (!subscription) {
+    res.status(404).json({
+      success: false,
+      message: 'Subscription not found'
+    });
+    return null;
+  }
+
+  if (subscription.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this subscription'
+    });
+    return null;
+  }
+
+  if (req.method !== 'GET' && subscription.status !== 'active') {
+    res.status(400).json({
+      success: false,
+      message: `Subscription is ${subscription.status}`
+    });
+    return null;
+  }
+
+  return subscription;
+};
+
+// @desc    Create subscription
+// @route   POST /api/subscriptions
+// @access  Private
+const createSubscription = async (req, res) => {
+  try {
+    const {
+      items,
+      frequency = 'daily',
+      daysOfWeek,
+      startDate,
+      endDate,
+      deliveryAddress,
+      contactNumber,
+      deliverySlot,
+      paymentMethod = 'cod'
+    } = req.body;
+
+    if (!deliveryAddress || !contactNumber || !startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide delivery address, contact number, and start date'
+      });
+    }
+
+    if (!isValidDate(startDate) || (endDate && !isValidDate(endDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide valid start and end dates'
+      });
+    }
+
+    if (deliverySlot && !mongoose.isValidObjectId(deliverySlot)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid delivery slot'
+      });
+    }
+
+    if (startOfDay(startDate) < addDays(new Date(), 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscriptions can start from tomorrow at the earliest'
+      });
+    }
+
+    const { items: validItems, error, status } = await validateItems(items);
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (!(await findZone(deliveryAddress))) {
+      return res.status(400).json({
+        success: false,
+        message: `Sorry, we do not deliver to zip code ${deliveryAddress.zipCode} yet`
+      });
+    }
+
+    const subscription = await Subscription.create({
+      user: req.user._id,
+      items: validItems,
+      frequency,
+      daysOfWeek: frequency === 'weekly' ? daysOfWeek : [],
+      startDate: startOfDay(startDate),
+      endDate: endDate ? startOfDay(endDate) : undefined,
+      deliveryAddress,
+      contactNumber,
+      deliverySlot,
+      paymentMethod
+    });
+
+    await subscription.populate('items.product', 'name images price unit');
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription created successfully',
+      data: { subscription }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+    console.error('Create subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating subscription'
+    });
+  }
+};
+
+// @desc    Get current user's subscriptions
+// @route   GET /api/subscriptions
+// @access  Private
+const getMySubscriptions = async (req, res) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const subscriptions = await Subscription.find(query)
+      .populate('items.product', 'name images price unit')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { subscriptions }
+    });
+  } catch (error) {
+    console.error('Get my subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching subscriptions'
+    });
+  }
+};
+
+// @desc    Get single subscription with its upcoming deliveries
+// @route   GET /api/subscriptions/:id
+// @access  Private
+const getSubscription = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    await subscription.populate('items.product', 'name images price unit');
+
+    // Preview the next two weeks so the customer can see skips and pauses applied
+    const days = Math.min(parseInt(req.query.days) || 14, 60);
+    const today = startOfDay(new Date());
+    const upcoming = [];
+    for (let offset = 1; offset <= days; offset++) {
+      const date = addDays(today, offset);
+      if (subscription.isScheduledOn(date)) {
+        upcoming.push({
+          date,
+          status: subscription.isDeliveryDay(date)
+            ? 'scheduled'
+            : (subscription.isPausedOn(date) ? 'paused' : 'skipped'),
+          items: subscription.getItemsForDate(date)
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { subscription, upcoming }
+    });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching subscription'
+    });
+  }
+};
+
+// @desc    Update subscription plan
+// @route   PUT /api/subscriptions/:id
+// @access  Private
+const updateSubscription = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    const { items, frequency, daysOfWeek, endDate, deliveryAddress, contactNumber, deliverySlot, paymentMethod } = req.body;
+
+    if (items) {
+      const { items: validItems, error, status } = await validateItems(items);
+      if (error) {
+        return res.status(status || 400).json({
+          success: false,
+          message: error
+        });
+      }
+      subscription.items = validItems;
+    }
+
+    if (frequency) subscription.frequency = frequency;
+    if (daysOfWeek) subscription.daysOfWeek = daysOfWeek;
+    if (deliveryAddress) {
+      if (!(await findZone(deliveryAddress))) {
+        return res.status(400).json({
+          success: false,
+          message: `Sorry, we do not deliver to zip code ${deliveryAddress.zipCode} yet`
+        });
+      }
+      subscription.deliveryAddress = deliveryAddress;
+    }
+    if (contactNumber) subscription.contactNumber = contactNumber;
+    if (deliverySlot) {
+      if (!mongoose.isValidObjectId(deliverySlot)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delivery slot'
+        });
+      }
+      subscription.deliverySlot = deliverySlot;
+    }
+    if (paymentMethod) subscription.paymentMethod = paymentMethod;
+    if (endDate !== undefined) {
+      if (endDate && !isValidDate(endDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide a valid end date'
+        });
+      }
+      subscription.endDate = endDate ? startOfDay(endDate) : undefined;
+    }
+
+    await subscription.save();
+    await subscription.populate('items.product', 'name images price unit');
+
+    res.json({
+      success: true,
+      message: 'Subscription updated successfully',
+      data: { subscription }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+    console.error('Update subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating subscription'
+    });
+  }
+};
+
+// @desc    Pause subscription for a date range (vacation)
+// @route   POST /api/subscriptions/:id/pauses
+// @access  Private
+const addPause = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    const { startDate, endDate, reason } = req.body;
+
+    if (!isValidDate(startDate) || !isValidDate(endDate) || startOfDay(endDate) < startOfDay(startDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid pause start and end date'
+      });
+    }
+
+    const generated = await Order.findOne({
+      subscription: subscription._id,
+      deliveryDate: { $gte: startOfDay(startDate), $lte: startOfDay(endDate) },
+      orderStatus: { $ne: 'cancelled' }
+    });
+
+    if (generated) {
+      return res.status(400).json({
+        success: false,
+        message: `Order ${generated.orderNumber} has already been placed within this range. Please cancel it from your orders.`
+      });
+    }
+
+    subscription.pauses.push({
+      startDate: startOfDay(startDate),
+      endDate: startOfDay(endDate),
+      reason
+    });
+    await subscription.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription paused successfully',
+      data: { subscription }
+    });
+  } catch (error) {
+    console.error('Add pause error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while pausing subscription'
+    });
+  }
+};
+
+// @desc    Remove a pause
+// @route   DELETE /api/subscriptions/:id/pauses/:pauseId
+// @access  Private
+const removePause = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    if (!subscription.pauses.id(req.params.pauseId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pause not found'
+      });
+    }
+
+    subscription.pauses.pull({ _id: req.params.pauseId });
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Pause removed successfully',
+      data: { subscription }
+    });
+  } catch (error) {
+    console.error('Remove pause error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing pause'
+    });
+  }
+};
+
+// @desc    Skip a single delivery day
+// @route   POST /api/subscriptions/:id/skips
+// @access  Private
+const skipDate = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    const { date } = req.body;
+
+    if (!isValidDate(date) || !subscription.isScheduledOn(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a date on which a delivery is scheduled'
+      });
+    }
+
+    const generated = await findGeneratedOrder(subscription, date);
+    if (generated) {
+      return res.status(400).json({
+        success: false,
+        message: `Order ${generated.orderNumber} has already been placed for this date. Please cancel it from your orders.`
+      });
+    }
+
+    if (!subscription.isSkippedOn(date)) {
+      subscription.skippedDates.push(startOfDay(date));
+      await subscription.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery skipped successfully',
+      data: { subscription }
+    });
+  } catch (error) {
+    console.error('Skip date error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while skipping delivery'
+    });
+  }
+};
+
+// @desc    Undo a skipped delivery day
+// @route   DELETE /api/subscriptions/:id/skips/:date
+// @access  Private
+const unskipDate = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    if (!isValidDate(req.params.date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date'
+      });
+    }
+
+    subscription.skippedDates = subscription.skippedDates.filter(skipped =>
+      !isSameDay(skipped, req.params.date)
+    );
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Delivery restored successfully',
+      data: { subscription }
+    });
+  } catch (error) {
+    console.error('Unskip date error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring delivery'
+    });
+  }
+};
+
+// @desc    Change item quantities for a single delivery day
+// @route   PUT /api/subscriptions/:id/overrides
+// @access  Private
+const setOverride = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    const { date, items } = req.body;
+
+    if (!isValidDate(date) || !subscription.isScheduledOn(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a date on which a delivery is scheduled'
+      });
+    }
+
+    const { items: validItems, error, status } = await validateItems(items);
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const generated = await findGeneratedOrder(subscription, date);
+    if (generated) {
+      return res.status(400).json({
+        success: false,
+        message: `Order ${generated.orderNumber} has already been placed for this date. Please cancel it from your orders.`
+      });
+    }
+
+    const existing = subscription.overrides.find(entry => isSameDay(entry.date, date));
+    if (existing) {
+      existing.items = validItems;
+    } else {
+      subscription.overrides.push({ date: startOfDay(date), items: validItems });
+    }
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Delivery updated successfully',
+      data: { subscription }
+    });
+  } catch (error) {
+    console.error('Set override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating delivery'
+    });
+  }
+};
+
+// @desc    Remove a per-day quantity change
+// @route   DELETE /api/subscriptions/:id/overrides/:date
+// @access  Private
+const removeOverride = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    if (!isValidDate(req.params.date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date'
+      });
+    }
+
+    subscription.overrides = subscription.overrides.filter(entry =>
+      !isSameDay(entry.date, req.params.date)
+    );
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Delivery change removed successfully',
+      data: { subscription }
+    });
+  } catch (error) {
+    console.error('Remove override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing delivery change'
+    });
+  }
+};
+
+// @desc    Cancel subscription
+// @route   PUT /api/subscriptions/:id/cancel
+// @access  Private
+const cancelSubscription = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    subscription.status = 'cancelled';
+    subscription.cancelledAt = new Date();
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Subscription cancelled successfully',
+      data: { subscription }
+    });
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling subscription'
+    });
+  }
+};
+
+// @desc    Get all subscriptions (Admin)
+// @route   GET /api/subscriptions/admin/all
+// @access  Private/Admin
+const getSubscriptions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+
+    const subscriptions = await Subscription.find(query)
+      .populate('user', 'name email phone')
+      .populate('items.product', 'name price unit')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Subscription.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        subscriptions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching subscriptions'
+    });
+  }
+};
+
+// @desc    Generate subscription orders for a date now (Admin)
+// @route   POST /api/subscriptions/admin/generate
+// @access  Private/Admin
+const generateOrders = async (req, res) => {
+  try {
+    const date = req.body.date || addDays(new Date(), 1);
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date'
+      });
+    }
+
+    const summary = await generateOrdersForDate(date);
+
+    res.json({
+      success: true,
+      message: 'Subscription orders generated',
+      data: { summary }
+    });
+  } catch (error) {
+    console.error('Generate subscription orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating subscription orders'
+    });
+  }
+};
+
+module.exports = {
+  createSubscription,
+  getMySubscriptions,
+  getSubscription,
+  updateSubscription,
+  addPause,
+  removePause,
+  skipDate,
+  unskipDate,
+  setOverride,
+  removeOverride,
+  cancelSubscription,
+  getSubscriptions,
+  generateOrders
+};
@@ -0,0 +1,157 @@
+const TaxRate = require('../models/TaxRate');
+
+const TAX_RATE_FIELDS = ['name', 'rate', 'categories', 'isDefault', 'isActive'];
+
+const validationMessage = (error) => {
+  return Object.values(error.errors).map(val => val.message).join(', ');
+};
+
+// Only one rate can be the fallback for uncategorised products
+const clearOtherDefaults = async (taxRate) => {
+  if (!taxRate.isDefault) return;
+  await TaxRate.updateMany({ _id: { $ne: taxRate._id }, isDefault: true }, { isDefault: false });
+};
+
+// @desc    Get tax rates
+// @route   GET /api/tax-rates
+// @access  Private/Admin
+const getTaxRates = async (req, res) => {
+  try {
+    const taxRates = await TaxRate.find().sort({ rate: 1 });
+
+    res.json({
+      success: true,
+      data: { taxRates }
+    });
+  } catch (error) {
+    console.error('Get tax rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tax rates'
+    });
+  }
+};
+
+// @desc    Create tax rate
+// @route   POST /api/tax-rates
+// @access  Private/Admin
+const createTaxRate = async (req, res) => {
+  try {
+    const data = {};
+    TAX_RATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const taxRate = await TaxRate.create(data);
+    await clearOtherDefaults(taxRate);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rate created successfully',
+      data: { taxRate }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tax rate with this name already exists'
+      });
+    }
+    console.error('Create tax rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating tax rate'
+    });
+  }
+};
+
+// @desc    Update tax rate
+// @route   PUT /api/tax-rates/:id
+// @access  Private/Admin
+const updateTaxRate = async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findById(req.params.id);
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    TAX_RATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) taxRate[field] = req.body[field];
+    });
+    await taxRate.save();
+    await clearOtherDefaults(taxRate);
+
+    res.json({
+      success: true,
+      message: 'Tax rate updated successfully',
+      data: { taxRate }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tax rate with this name already exists'
+      });
+    }
+    console.error('Update tax rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating tax rate'
+    });
+  }
+};
+
+// @desc    Delete tax rate
+// @route   DELETE /api/tax-rates/:id
+// @access  Private/Admin
+const deleteTaxRate = async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findById(req.params.id);
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    // Products may still point at the rate, so deactivate instead
+    taxRate.isActive = false;
+    taxRate.isDefault = false;
+    await taxRate.save();
+
+    res.json({
+      success: true,
+      message: 'Tax rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tax rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting tax rate'
+    });
+  }
+};
+
+module.exports = {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate
+};
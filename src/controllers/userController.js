@@ -1,6 +1,8 @@
 const User = require('../models/User');
 const Order = require('../models/Order');
 const { sanitizeUser } = require('../utils/validation');
+const { findZone } = require('../utils/deliveryZones');
+const { revokeUserSessions } = require('../utils/sessions');
 
 // @desc    Get all users (Admin only)
 // @route   GET /api/users
@@ -87,6 +89,11 @@ const updateUser = async (req, res) => {
       });
     }
 
+    // A deactivated account is signed out of every device
+    if (!user.isActive) {
+      await revokeUserSessions(user._id, 'deactivated');
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -125,6 +132,7 @@ const deleteUser = async (req, res) => {
     }
 
     await User.findByIdAndDelete(req.params.id);
+    await revokeUserSessions(user._id, 'deactivated');
 
     res.json({
       success: true,
@@ -153,6 +161,13 @@ const addAddress = async (req, res) => {
       });
     }
 
+    if (!(await findZone({ zipCode }))) {
+      return res.status(400).json({
+        success: false,
+        message: `Sorry, we do not deliver to zip code ${zipCode} yet`
+      });
+    }
+
     const user = await User.findById(req.user._id);
 
     const newAddress = {
@@ -210,7 +225,15 @@ const updateAddress = async (req, res) => {
     if (street) address.street = street;
     if (city) address.city = city;
     if (state) address.state = state;
-    if (zipCode) address.zipCode = zipCode;
+    if (zipCode && zipCode !== address.zipCode) {
+      if (!(await findZone({ zipCode }))) {
+        return res.status(400).json({
+          success: false,
+          message: `Sorry, we do not deliver to zip code ${zipCode} yet`
+        });
+      }
+      address.zipCode = zipCode;
+    }
     if (country) address.country = country;
 
     // If setting as default, remove default from others
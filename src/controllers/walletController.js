@@ -0,0 +1,264 @@
+const Stripe = require('stripe');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const { roundAmount, getOrCreateWallet, creditWallet, debitWallet } = require('../utils/wallet');
+const { isValidDate } = require('../utils/dates');
+
+const getStripe = () => new Stripe(process.env.STRIPE_SECRET_KEY || '');
+
+// Shared paginated ledger query for the user and admin statements
+const getStatement = async (userId, query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = { user: userId };
+  if (query.type) filter.type = query.type;
+  if (query.source) filter.source = query.source;
+  if (isValidDate(query.from) || isValidDate(query.to)) {
+    filter.createdAt = {};
+    if (isValidDate(query.from)) filter.createdAt.$gte = new Date(query.from);
+    if (isValidDate(query.to)) filter.createdAt.$lte = new Date(query.to);
+  }
+
+  const transactions = await WalletTransaction.find(filter)
+    .populate('order', 'orderNumber')
+    .populate('createdBy', 'name')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await WalletTransaction.countDocuments(filter);
+
+  return {
+    transactions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// @desc    Get wallet balance
+// @route   GET /api/wallet
+// @access  Private
+const getWallet = async (req, res) => {
+  try {
+    const wallet = await getOrCreateWallet(req.user._id);
+
+    res.json({
+      success: true,
+      data: { wallet }
+    });
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching wallet'
+    });
+  }
+};
+
+// @desc    Get wallet statement
+// @route   GET /api/wallet/transactions
+// @access  Private
+const getTransactions = async (req, res) => {
+  try {
+    const wallet = await getOrCreateWallet(req.user._id);
+    const statement = await getStatement(req.user._id, req.query);
+
+    res.json({
+      success: true,
+      data: { wallet, ...statement }
+    });
+  } catch (error) {
+    console.error('Get wallet transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching wallet transactions'
+    });
+  }
+};
+
+// @desc    Start a wallet top-up; the wallet is credited by the Stripe webhook
+// @route   POST /api/wallet/topup
+// @access  Private
+const createTopUp = async (req, res) => {
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      return res.status(500).json({ success: false, message: 'Stripe secret key not configured on server' });
+    }
+
+    const amount = roundAmount(parseFloat(req.body.amount));
+    const minTopUp = parseFloat(process.env.WALLET_MIN_TOPUP) || 1;
+
+    if (!amount || amount < minTopUp) {
+      return res.status(400).json({
+        success: false,
+        message: `Top-up amount must be at least ${minTopUp}`
+      });
+    }
+
+    const wallet = await getOrCreateWallet(req.user._id);
+
+    const paymentIntent = await getStripe().paymentIntents.create({
+      amount: Math.round(amount * 100),
+      currency: process.env.STRIPE_CURRENCY || 'usd',
+      metadata: {
+        type: 'wallet_topup',
+        userId: req.user._id.toString(),
+        walletId: wallet._id.toString()
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id,
+        amount
+      }
+    });
+  } catch (error) {
+    console.error('Create top-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating top-up'
+    });
+  }
+};
+
+// @desc    Get a user's wallet statement (Admin)
+// @route   GET /api/wallet/admin/:userId/transactions
+// @access  Private/Admin
+const getUserTransactions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wallet = await getOrCreateWallet(user._id);
+    const statement = await getStatement(user._id, req.query);
+
+    res.json({
+      success: true,
+      data: { wallet, ...statement }
+    });
+  } catch (error) {
+    console.error('Get user wallet transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching wallet transactions'
+    });
+  }
+};
+
+// @desc    Manually credit or debit a user's wallet (Admin)
+// @route   POST /api/wallet/admin/:userId/adjust
+// @access  Private/Admin
+const adjustWallet = async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    const value = roundAmount(parseFloat(amount));
+
+    if (!value) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a non-zero amount (negative to debit)'
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for the adjustment'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const options = { source: 'adjustment', reason: reason.trim(), createdBy: req.user._id };
+    const { wallet, transaction } = value > 0
+      ? await creditWallet(user._id, value, options)
+      : await debitWallet(user._id, -value, options);
+
+    res.status(201).json({
+      success: true,
+      message: 'Wallet adjusted successfully',
+      data: { wallet, transaction }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Adjust wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adjusting wallet'
+    });
+  }
+};
+
+// @desc    Update a user's low-balance threshold (Admin)
+// @route   PUT /api/wallet/admin/:userId
+// @access  Private/Admin
+const updateWalletSettings = async (req, res) => {
+  try {
+    const threshold = parseFloat(req.body.lowBalanceThreshold);
+
+    if (isNaN(threshold) || threshold < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a low balance threshold of zero or more'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wallet = await getOrCreateWallet(user._id);
+    wallet.lowBalanceThreshold = threshold;
+    await wallet.save();
+
+    res.json({
+      success: true,
+      message: 'Wallet updated successfully',
+      data: { wallet }
+    });
+  } catch (error) {
+    console.error('Update wallet settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating wallet'
+    });
+  }
+};
+
+module.exports = {
+  getWallet,
+  getTransactions,
+  createTopUp,
+  getUserTransactions,
+  adjustWallet,
+  updateWalletSettings
+};
@@ -0,0 +1,195 @@
+const DeliveryZone = require('../models/DeliveryZone');
+const { findZone, calculateDeliveryFee } = require('../utils/deliveryZones');
+
+const ZONE_FIELDS = ['name', 'zipCodes', 'area', 'deliveryFee', 'freeDeliveryThreshold', 'minimumOrderValue', 'availableDays', 'isActive'];
+
+const validationMessage = (error) => {
+  return Object.values(error.errors).map(val => val.message).join(', ');
+};
+
+// @desc    Check whether an address is serviceable
+// @route   GET /api/delivery/zones/check?zipCode=&lat=&lng=&subtotal=
+// @access  Public
+const checkServiceability = async (req, res) => {
+  try {
+    const { zipCode, lat, lng, subtotal } = req.query;
+
+    if (!zipCode && (lat === undefined || lng === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a zip code or coordinates'
+      });
+    }
+
+    const zone = await findZone({
+      zipCode,
+      location: lat !== undefined && lng !== undefined ? { lat, lng } : undefined
+    });
+
+    if (!zone) {
+      return res.json({
+        success: true,
+        data: { serviceable: false }
+      });
+    }
+
+    const amount = parseFloat(subtotal);
+
+    res.json({
+      success: true,
+      data: {
+        serviceable: true,
+        zone: {
+          _id: zone._id,
+          name: zone.name,
+          deliveryFee: zone.deliveryFee,
+          freeDeliveryThreshold: zone.freeDeliveryThreshold,
+          minimumOrderValue: zone.minimumOrderValue,
+          availableDays: zone.availableDays
+        },
+        ...(isNaN(amount) ? {} : {
+          deliveryFee: calculateDeliveryFee(zone, amount),
+          meetsMinimum: amount >= zone.minimumOrderValue
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Check serviceability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking serviceability'
+    });
+  }
+};
+
+// @desc    Get all delivery zones (Admin)
+// @route   GET /api/delivery/zones
+// @access  Private/Admin
+const getZones = async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { zones }
+    });
+  } catch (error) {
+    console.error('Get delivery zones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching delivery zones'
+    });
+  }
+};
+
+// @desc    Create delivery zone
+// @route   POST /api/delivery/zones
+// @access  Private/Admin
+const createZone = async (req, res) => {
+  try {
+    const data = {};
+    ZONE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const zone = await DeliveryZone.create(data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery zone created successfully',
+      data: { zone }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A zone with this name already exists'
+      });
+    }
+    console.error('Create delivery zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating delivery zone'
+    });
+  }
+};
+
+// @desc    Update delivery zone
+// @route   PUT /api/delivery/zones/:id
+// @access  Private/Admin
+const updateZone = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found'
+      });
+    }
+
+    ZONE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) zone[field] = req.body[field];
+    });
+    await zone.save();
+
+    res.json({
+      success: true,
+      message: 'Delivery zone updated successfully',
+      data: { zone }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    console.error('Update delivery zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating delivery zone'
+    });
+  }
+};
+
+// @desc    Delete delivery zone
+// @route   DELETE /api/delivery/zones/:id
+// @access  Private/Admin
+const deleteZone = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery zone deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete delivery zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting delivery zone'
+    });
+  }
+};
+
+module.exports = {
+  checkServiceability,
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone
+};
@@ -0,0 +1,30 @@
+const { writeOffExpiredStock } = require('../utils/stock');
+
+let isRunning = false;
+
+// Periodically write off the units left in expired batches so they stop
+// counting as sellable stock
+const startBatchExpirySweeper = () => {
+  const intervalMs = parseInt(process.env.BATCH_EXPIRY_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+
+  const run = async () => {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      const units = await writeOffExpiredStock();
+      if (units > 0) {
+        console.log(`Wrote off ${units} expired unit(s)`);
+      }
+    } catch (error) {
+      console.error('Batch expiry sweeper error:', error);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  run();
+  return setInterval(run, intervalMs);
+};
+
+module.exports = { startBatchExpirySweeper };
@@ -0,0 +1,29 @@
+const { processOutbox } = require('../utils/notifications');
+
+let isRunning = false;
+
+// Periodically send queued notifications and retry the ones that failed
+const startNotificationDispatcher = () => {
+  const intervalMs = parseInt(process.env.NOTIFICATION_DISPATCH_INTERVAL_MS) || 30 * 1000;
+
+  const run = async () => {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      const { sent, failed } = await processOutbox();
+      if (sent > 0 || failed > 0) {
+        console.log(`Notifications: ${sent} sent, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('Notification dispatcher error:', error);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  run();
+  return setInterval(run, intervalMs);
+};
+
+module.exports = { startNotificationDispatcher };
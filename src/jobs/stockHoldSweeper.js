@@ -0,0 +1,28 @@
+const { expireStockHolds } = require('../utils/stockHolds');
+
+let isRunning = false;
+
+// Periodically release stock held by card orders that were never paid
+const startStockHoldSweeper = () => {
+  const intervalMs = parseInt(process.env.STOCK_HOLD_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+  const run = async () => {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      const expired = await expireStockHolds();
+      if (expired > 0) {
+        console.log(`Released ${expired} expired stock hold(s)`);
+      }
+    } catch (error) {
+      console.error('Stock hold sweeper error:', error);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  return setInterval(run, intervalMs);
+};
+
+module.exports = { startStockHoldSweeper };
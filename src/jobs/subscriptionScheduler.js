@@ -0,0 +1,195 @@
+const Subscription = require('../models/Subscription');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { getOrCreateWallet } = require('../utils/wallet');
+const { placeOrder } = require('../utils/orderPlacement');
+const { startOfDay, addDays } = require('../utils/dates');
+
+let isRunning = false;
+
+// Build and save a real order for one subscription delivery day.
+// Items that are unavailable or short on stock are left out; if nothing
+// can be delivered no order is created and the shortfall is reported.
+// Wallet plans are only charged while the balance stays above the
+// wallet's low-balance threshold.
+const createSubscriptionOrder = async (subscription, deliveryDate) => {
+  const items = [];
+  const shortfalls = [];
+  let estimatedTotal = 0;
+
+  for (const item of subscription.getItemsForDate(deliveryDate)) {
+    const product = await Product.findById(item.product);
+    const variant = product && product.getVariant(item.variant);
+
+    if (!variant || !product.isAvailable || !variant.isActive) {
+      shortfalls.push({ product: item.product, reason: 'Product is not available' });
+      continue;
+    }
+
+    if (variant.quantity < item.quantity) {
+      shortfalls.push({
+        product: product._id,
+        reason: `Insufficient quantity for: ${product.name} (${variant.label}). Available: ${variant.quantity}`
+      });
+      continue;
+    }
+
+    estimatedTotal += variant.price * item.quantity;
+    items.push({ product: product._id, variant: variant._id, quantity: item.quantity });
+  }
+
+  if (items.length === 0) {
+    return { order: null, shortfalls };
+  }
+
+  if (subscription.paymentMethod === 'wallet') {
+    const wallet = await getOrCreateWallet(subscription.user);
+    if (wallet.balance < wallet.lowBalanceThreshold || wallet.balance < estimatedTotal) {
+      return {
+        order: null,
+        shortfalls: [...shortfalls, { reason: `Low wallet balance. Available: ${wallet.balance}` }]
+      };
+    }
+  }
+
+  try {
+    const order = await placeOrder({
+      user: subscription.user,
+      subscription: subscription._id,
+      items,
+      deliveryAddress: subscription.deliveryAddress,
+      contactNumber: subscription.contactNumber,
+      deliveryDate,
+      deliverySlot: subscription.deliverySlot,
+      paymentMethod: subscription.paymentMethod,
+      enforceCutoff: false
+    });
+
+    return { order, shortfalls };
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return { order: null, shortfalls: [...shortfalls, { reason: error.message }] };
+  }
+};
+
+// The unique subscription/day index rejected the order: another run got there first
+const isDuplicateDelivery = (error) => error.code === 11000 && Boolean(error.keyPattern?.subscription);
+
+// Materialise orders for every active subscription due on the given date.
+// Safe to run repeatedly, and alongside another run: the unique index on
+// subscription and delivery day means a subscription never gets two live
+// orders for one day. Cancelling an order skips its day; a day the customer
+// restores afterwards is generated again.
+// Subscriptions of deactivated accounts are skipped.
+const generateOrdersForDate = async (date) => {
+  const deliveryDate = startOfDay(date);
+  const summary = {
+    deliveryDate,
+    created: 0,
+    alreadyCreated: 0,
+    skipped: 0,
+    failed: []
+  };
+
+  const subscriptions = await Subscription.find({
+    status: 'active',
+    startDate: { $lte: deliveryDate },
+    $or: [{ endDate: null }, { endDate: { $gte: deliveryDate } }]
+  });
+
+  const activeUsers = new Set((await User.find({
+    _id: { $in: subscriptions.map(subscription => subscription.user) },
+    isActive: true
+  }).distinct('_id')).map(id => id.toString()));
+
+  for (const subscription of subscriptions) {
+    if (!subscription.isDeliveryDay(deliveryDate)) continue;
+
+    if (!activeUsers.has(subscription.user.toString())) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const existing = await Order.findOne({
+      subscription: subscription._id,
+      deliveryDate,
+      orderStatus: { $ne: 'cancelled' }
+    });
+
+    if (existing) {
+      summary.alreadyCreated += 1;
+      continue;
+    }
+
+    try {
+      const { order, shortfalls } = await createSubscriptionOrder(subscription, deliveryDate);
+
+      if (order) {
+        summary.created += 1;
+      }
+      if (shortfalls.length > 0) {
+        summary.failed.push({ subscription: subscription._id, shortfalls });
+      }
+
+      subscription.lastGeneratedFor = deliveryDate;
+      await subscription.save();
+    } catch (error) {
+      if (isDuplicateDelivery(error)) {
+        summary.alreadyCreated += 1;
+        continue;
+      }
+      console.error(`Subscription ${subscription._id} order generation error:`, error);
+      summary.failed.push({ subscription: subscription._id, reason: error.message });
+    }
+  }
+
+  return summary;
+};
+
+// Generate orders for the next SUBSCRIPTION_LEAD_DAYS days (tomorrow by default)
+// and close plans whose end date has passed.
+const runSubscriptionScheduler = async () => {
+  if (isRunning) return [];
+  isRunning = true;
+
+  try {
+    const today = startOfDay(new Date());
+    const leadDays = parseInt(process.env.SUBSCRIPTION_LEAD_DAYS) || 1;
+    const summaries = [];
+
+    await Subscription.updateMany(
+      { status: 'active', endDate: { $lt: today } },
+      { status: 'completed' }
+    );
+
+    for (let offset = 1; offset <= leadDays; offset++) {
+      summaries.push(await generateOrdersForDate(addDays(today, offset)));
+    }
+
+    return summaries;
+  } finally {
+    isRunning = false;
+  }
+};
+
+const startSubscriptionScheduler = () => {
+  const intervalMs = parseInt(process.env.SUBSCRIPTION_SCHEDULER_INTERVAL_MS) || 60 * 60 * 1000;
+
+  const run = async () => {
+    try {
+      await runSubscriptionScheduler();
+    } catch (error) {
+      console.error('Subscription scheduler error:', error);
+    }
+  };
+
+  run();
+  return setInterval(run, intervalMs);
+};
+
+module.exports = {
+  generateOrdersForDate,
+  runSubscriptionScheduler,
+  startSubscriptionScheduler
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../utils/sessions');
 
 const protect = async (req, res, next) => {
   let token;
@@ -29,6 +30,15 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Tokens die with their session: logout, revocation or a password change
+      if (req.user.changedPasswordAfter(decoded.iat) || !(await isSessionActive(decoded.sid, req.user._id))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired, please log in again'
+        });
+      }
+      req.sessionId = decoded.sid;
+
       next();
     } catch (error) {
       console.error('Auth middleware error:', error);
@@ -47,6 +57,15 @@ const protect = async (req, res, next) => {
   }
 };
 
+// EventSource can't send headers, so event streams also take the token as
+// ?token=. Only used on stream routes to keep tokens out of other URLs.
+const protectStream = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  return protect(req, res, next);
+};
+
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -59,6 +78,18 @@ const authorize = (...roles) => {
   };
 };
 
+// With REQUIRE_VERIFIED_EMAIL=true customers must verify their email before
+// they can order. Staff accounts are not affected.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL === 'true' && req.user.role === 'user' && !req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before placing orders'
+    });
+  }
+  next();
+};
+
 const optionalAuth = async (req, res, next) => {
   let token;
 
@@ -66,7 +97,13 @@ const optionalAuth = async (req, res, next) => {
     try {
       token = req.headers.authorization.split(' ')[1];
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
+      if (await isSessionActive(decoded.sid, decoded.id)) {
+        const user = await User.findById(decoded.id).select('-password');
+        if (user && !user.changedPasswordAfter(decoded.iat)) {
+          req.user = user;
+          req.sessionId = decoded.sid;
+        }
+      }
     } catch (error) {
       // Continue without user for optional auth
     }
@@ -74,4 +111,4 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
-module.exports = { protect, authorize, optionalAuth };
\ No newline at end of file
+module.exports = { protect, protectStream, authorize, requireVerifiedEmail, optionalAuth };
\ No newline at end of file
@@ -1,14 +1,16 @@
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
 
-// Storage configuration
-const storage = multer.diskStorage({
+// Disk storage under uploads/<folder>, with files named <prefix>-<unique>.<ext>
+const createStorage = (folder, prefix) => multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, 'uploads/products/');
+    const dir = path.join('uploads', folder);
+    fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
   },
   filename: function (req, file, cb) {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'product-' + uniqueSuffix + path.extname(file.originalname));
+    cb(null, prefix + '-' + uniqueSuffix + path.extname(file.originalname));
   }
 });
 
@@ -21,14 +23,20 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
-const upload = multer({
-  storage: storage,
+const createUpload = (folder, prefix) => multer({
+  storage: createStorage(folder, prefix),
   fileFilter: fileFilter,
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB limit
   }
 });
 
+const upload = createUpload('products', 'product');
+
+// Proof of delivery photos and signatures. uploads/deliveries is not served
+// statically; the files are only sent through the order's proof endpoint.
+const deliveryProofUpload = createUpload('deliveries', 'delivery');
+
 // Error handling middleware for multer
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -47,4 +55,4 @@ const handleUploadError = (err, req, res, next) => {
   next();
 };
 
-module.exports = { upload, handleUploadError };
\ No newline at end of file
+module.exports = { upload, deliveryProofUpload, handleUploadError };
\ No newline at end of file
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A received lot of one product variant. The units on hand in a batch are
+// also counted in the variant's stock; orders take them first-expired,
+// first-out and expired units are written off.
+const batchSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.ObjectId,
+    required: true
+  },
+  batchNumber: {
+    type: String,
+    required: [true, 'Batch number is required'],
+    trim: true,
+    uppercase: true
+  },
+  manufactureDate: {
+    type: Date,
+    required: [true, 'Manufacture date is required']
+  },
+  expiryDate: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  quantityReceived: {
+    type: Number,
+    required: [true, 'Quantity received is required'],
+    min: [1, 'Quantity received must be at least 1']
+  },
+  // Units still on hand
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Quantity cannot be negative']
+  },
+  // Farm or supplier the batch came from
+  source: {
+    type: String,
+    trim: true
+  },
+  writtenOffQuantity: {
+    type: Number,
+    default: 0
+  },
+  writtenOffAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+batchSchema.index({ product: 1, batchNumber: 1 }, { unique: true });
+batchSchema.index({ product: 1, variant: 1, expiryDate: 1 });
+batchSchema.index({ quantity: 1, expiryDate: 1 });
+
+batchSchema.pre('validate', function() {
+  if (this.manufactureDate && this.expiryDate && this.expiryDate <= this.manufactureDate) {
+    this.invalidate('expiryDate', 'Expiry date must be after the manufacture date');
+  }
+});
+
+batchSchema.virtual('isExpired').get(function() {
+  return this.expiryDate <= new Date();
+});
+
+batchSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Batch', batchSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const blackoutDateSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+    unique: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('BlackoutDate', blackoutDateSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Returnable bottles of one product variant a customer has not handed back
+// yet, with the deposit paid for them
+const bottleAccountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.ObjectId,
+    required: true
+  },
+  name: String,
+  outstanding: {
+    type: Number,
+    default: 0,
+    min: [0, 'Outstanding bottles cannot be negative']
+  },
+  // Deposit paid for the outstanding bottles; deposits may have changed
+  // between orders, so returns are credited at the average
+  depositHeld: {
+    type: Number,
+    default: 0,
+    min: [0, 'Deposit held cannot be negative']
+  },
+  // Zone of the latest delivery, for the per-zone report
+  zone: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'DeliveryZone'
+  },
+  lastIssuedAt: Date,
+  lastReturnedAt: Date
+}, {
+  timestamps: true
+});
+
+bottleAccountSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
+bottleAccountSchema.index({ outstanding: 1 });
+
+module.exports = mongoose.model('BottleAccount', bottleAccountSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.ObjectId,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Price the user last saw, used to flag price changes
+  price: Number,
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [cartItemSchema],
+  // Last time the user changed the cart; old non-empty carts are abandoned
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+cartSchema.index({ lastActivityAt: 1 });
+
+cartSchema.methods.findItem = function(productId, variantId) {
+  return this.items.find(item => item.product.toString() === productId.toString() &&
+    item.variant.toString() === variantId.toString());
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
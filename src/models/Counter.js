@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers. next() is a single atomic $inc so
+// concurrent callers never get the same value.
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, digits, dashes or underscores']
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount value must be greater than zero']
+  },
+  // Order subtotal (before delivery) needed to use the coupon
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order value cannot be negative']
+  },
+  // Cap for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  validFrom: Date,
+  validUntil: Date,
+  // Total redemptions across all users; unset means unlimited
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // When any are set, only matching items count towards the discount
+  categories: [String],
+  brands: [String],
+  products: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product'
+  }],
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function() {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot be more than 100');
+  }
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    this.invalidate('validUntil', 'Coupon must end after it starts');
+  }
+});
+
+couponSchema.methods.hasItemRestrictions = function() {
+  return this.categories.length > 0 || this.brands.length > 0 || this.products.length > 0;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
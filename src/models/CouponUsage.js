@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// How many times a user has redeemed a coupon. One document per
+// coupon/user so the per-user limit can be enforced with a single
+// conditional $inc.
+const couponUsageSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
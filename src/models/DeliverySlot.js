@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const timeMatch = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format'];
+
+const deliverySlotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Slot name is required'],
+    trim: true
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: timeMatch
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: timeMatch
+  },
+  // Maximum number of orders per date
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1']
+  },
+  // Ordering closes at cutoffTime, cutoffDaysBefore days before delivery
+  // (defaults: 22:00 the evening before)
+  cutoffTime: {
+    type: String,
+    default: '22:00',
+    match: timeMatch
+  },
+  cutoffDaysBefore: {
+    type: Number,
+    default: 1,
+    min: [0, 'Cut-off days cannot be negative']
+  },
+  // 0 = Sunday ... 6 = Saturday; empty means every day
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  // Empty means the slot serves every zip code
+  zipCodes: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+deliverySlotSchema.pre('validate', function() {
+  if (this.startTime && this.endTime && this.startTime >= this.endTime) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+});
+
+deliverySlotSchema.index({ isActive: 1, startTime: 1 });
+
+module.exports = mongoose.model('DeliverySlot', deliverySlotSchema);
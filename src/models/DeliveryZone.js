@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const deliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    unique: true
+  },
+  zipCodes: [{
+    type: String,
+    trim: true
+  }],
+  // Optional GeoJSON polygon for areas that don't map cleanly to zip codes
+  area: {
+    type: {
+      type: String,
+      enum: ['Polygon']
+    },
+    coordinates: {
+      type: [[[Number]]],
+      default: undefined
+    }
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Delivery fee cannot be negative']
+  },
+  // Orders at or above this subtotal are delivered free; unset means never
+  freeDeliveryThreshold: {
+    type: Number,
+    min: [0, 'Free delivery threshold cannot be negative']
+  },
+  minimumOrderValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order value cannot be negative']
+  },
+  // 0 = Sunday ... 6 = Saturday; empty means every day
+  availableDays: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+deliveryZoneSchema.pre('validate', function() {
+  if (this.zipCodes.length === 0 && !this.area?.coordinates?.length) {
+    this.invalidate('zipCodes', 'A zone needs zip codes or an area polygon');
+  }
+});
+
+deliveryZoneSchema.index({ zipCodes: 1 });
+deliveryZoneSchema.index({ area: '2dsphere' });
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
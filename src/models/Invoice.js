@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// One invoice per order. Seller details are copied in when the invoice is
+// issued so later changes to them don't alter invoices already sent.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    name: String,
+    address: String,
+    taxId: String,
+    email: String,
+    phone: String
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ issuedAt: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
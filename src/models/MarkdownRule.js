@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Automatic price cut for stock close to expiry, e.g. 20% off when 2 days
+// remain. When several rules match a batch the largest discount wins.
+const markdownRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true
+  },
+  // Applies once a batch has this many days or fewer left before expiry
+  daysRemaining: {
+    type: Number,
+    required: [true, 'Days remaining is required'],
+    min: [0, 'Days remaining cannot be negative']
+  },
+  discountPercent: {
+    type: Number,
+    required: [true, 'Discount percent is required'],
+    min: [1, 'Discount must be at least 1%'],
+    max: [99, 'Discount cannot be more than 99%']
+  },
+  // When set, only products in these categories are marked down
+  categories: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+markdownRuleSchema.index({ isActive: 1, daysRemaining: 1 });
+
+module.exports = mongoose.model('MarkdownRule', markdownRuleSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// An item in a user's in-app inbox. Admins each get their own copy of
+// admin-wide items, so read state is per person.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Event that created the item, e.g. order_placed or low_stock
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order'
+  },
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product'
+  },
+  review: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Review'
+  },
+  readAt: Date,
+  // Stops a replayed webhook or retried request from adding the same item twice
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.virtual('isRead').get(function() {
+  return Boolean(this.readAt);
+});
+
+notificationSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -6,14 +6,202 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Pack size ordered; empty on orders from before variants
+  variant: mongoose.Schema.ObjectId,
+  sku: String,
+  variantLabel: String,
   name: String,
   price: Number,
+  // Bottle deposit per unit, charged on top of the price
+  deposit: {
+    type: Number,
+    default: 0
+  },
+  // List price when the line was sold at a near-expiry markdown
+  originalPrice: Number,
+  markdown: {
+    rule: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'MarkdownRule'
+    },
+    percent: Number,
+    reason: String
+  },
   quantity: {
     type: Number,
     required: true,
     min: [1, 'Quantity must be at least 1']
   },
-  image: String
+  image: String,
+  // Share of order-level discounts taken off this line
+  discount: {
+    type: Number,
+    default: 0
+  },
+  // price * quantity - discount
+  taxableAmount: Number,
+  taxName: String,
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  // Batches the units were taken from, earliest expiry first. Units not
+  // covered came from stock received before batches were tracked.
+  batches: [{
+    _id: false,
+    batch: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Batch'
+    },
+    batchNumber: String,
+    expiryDate: Date,
+    quantity: Number
+  }]
+});
+
+// Allowed orderStatus changes; delivered and cancelled are final. A failed
+// delivery goes back from out-for-delivery to packed for another attempt.
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['packed', 'cancelled'],
+  packed: ['out-for-delivery', 'cancelled'],
+  'out-for-delivery': ['delivered', 'packed', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  note: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A reduction applied to the items subtotal, e.g. a coupon
+const discountLineSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['coupon'],
+    required: true
+  },
+  coupon: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Coupon'
+  },
+  code: String,
+  description: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
+
+// Deposit charged for the returnable bottles of one product variant
+const depositLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product'
+  },
+  variant: mongoose.Schema.ObjectId,
+  name: String,
+  quantity: Number,
+  // Deposit per bottle
+  amount: Number,
+  total: Number
+}, { _id: false });
+
+// Itemised totals: grandTotal = subtotal - discountTotal + taxTotal +
+// deliveryFee + depositTotal - depositCredit
+const pricingSchema = new mongoose.Schema({
+  // Items before discounts and tax
+  subtotal: {
+    type: Number,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  discounts: [discountLineSchema],
+  discountTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Tax collected per rate
+  taxes: [{
+    _id: false,
+    name: String,
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number
+  }],
+  taxTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax cannot be negative']
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Delivery fee cannot be negative']
+  },
+  // Bottle deposits, not discounted or taxed
+  deposits: [depositLineSchema],
+  depositTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Deposit cannot be negative']
+  },
+  // Credit for returned bottles taken off this order
+  depositCredit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Deposit credit cannot be negative']
+  },
+  grandTotal: {
+    type: Number,
+    min: [0, 'Total amount cannot be negative']
+  }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  // Stripe refund id (re_...) for card refunds
+  refundId: String,
+  method: {
+    type: String,
+    enum: ['card', 'wallet'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Refund amount must be greater than zero']
+  },
+  reason: String,
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'canceled', 'requires_action'],
+    default: 'pending'
+  },
+  failureReason: String,
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
 });
 
 const orderSchema = new mongoose.Schema({
@@ -37,25 +225,38 @@ const orderSchema = new mongoose.Schema({
     city: String,
     state: String,
     zipCode: String,
-    country: String
+    country: String,
+    location: {
+      lat: Number,
+      lng: Number
+    }
   },
   contactNumber: {
     type: String,
     required: true
   },
+  pricing: pricingSchema,
+  // Amount charged; equals pricing.grandTotal
   totalAmount: {
     type: Number,
     required: true,
     min: [0, 'Total amount cannot be negative']
   },
+  deliveryZone: {
+    zone: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'DeliveryZone'
+    },
+    name: String
+  },
   paymentMethod: {
     type: String,
-    enum: ['cod', 'card'],
+    enum: ['cod', 'card', 'wallet'],
     default: 'cod'
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'processing'],
+    enum: ['pending', 'paid', 'failed', 'processing', 'refunded', 'partially_refunded'],
     default: 'pending'
   },
   paymentIntentId: {
@@ -74,21 +275,180 @@ const orderSchema = new mongoose.Schema({
     default: false
   },
   paidAt: Date,
+  // Set by the request issuing the invoice, before it takes a number
+  invoiceClaimedAt: Date,
+  refunds: [refundSchema],
+  // Sum of succeeded refunds
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Sum of refunds in progress or done. Raised before any money moves, so
+  // refunds running side by side can't exceed the order total together.
+  refundCommitted: Number,
+  // Refunds reserved in refundCommitted whose money is still on its way.
+  // Each id also keys the Stripe refund, so concurrent refunds never share
+  // a key.
+  refundReservations: [{
+    amount: Number,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   orderStatus: {
     type: String,
-    enum: ['pending', 'confirmed', 'packed', 'out-for-delivery', 'delivered', 'cancelled'],
+    enum: Object.keys(ORDER_STATUS_TRANSITIONS),
     default: 'pending'
   },
+  statusHistory: [statusHistorySchema],
   deliveryDate: {
     type: Date,
     required: true
   },
+  // Whether product quantities were taken for this order and must be
+  // restored on cancellation
+  stockDeducted: Boolean,
+  deliverySlot: {
+    slot: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'DeliverySlot'
+    },
+    name: String,
+    startTime: String,
+    endTime: String
+  },
   deliveredAt: Date,
-  cancellationReason: String
+  // Evidence captured when the order was handed over. Files live in
+  // uploads/deliveries and are served through GET /api/orders/:id/proof/:file.
+  deliveryProof: {
+    photo: String,
+    signature: String,
+    location: {
+      latitude: Number,
+      longitude: Number,
+      // Reported GPS accuracy in metres
+      accuracy: Number
+    },
+    // When the agent captured the proof on their device
+    capturedAt: Date,
+    recordedAt: Date,
+    recordedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Delivery agent the order is assigned to
+  deliveryAgent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: Date,
+  // Last position reported by the agent while the order is out for delivery
+  agentLocation: {
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number,
+    updatedAt: Date
+  },
+  failedDeliveries: [{
+    _id: false,
+    reason: {
+      type: String,
+      required: true
+    },
+    agent: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    failedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Cash collected on delivery of a cod order
+  codCollection: {
+    amount: Number,
+    collectedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    collectedAt: Date
+  },
+  // Set once the order's bottles are added to the customer's outstanding count
+  bottlesIssued: {
+    type: Boolean,
+    default: false
+  },
+  // Empty bottles collected on this delivery; they may be from earlier orders
+  bottleReturns: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Product'
+    },
+    variant: mongoose.Schema.ObjectId,
+    quantity: Number,
+    credit: Number,
+    creditedTo: {
+      type: String,
+      enum: ['wallet', 'next-order']
+    },
+    recordedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  cancellationReason: String,
+  // Set when the order was materialised from a recurring subscription
+  subscription: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Subscription'
+  }
 }, {
   timestamps: true
 });
 
+// One live order per subscription and delivery day, so concurrent generation
+// runs can't both create it. Cancelled orders are left out, so a day the
+// customer restores after cancelling its order can be generated again. Partial indexes don't take $ne, hence
+// the list of the other statuses.
+const SUBSCRIPTION_ORDER_FILTER = {
+  subscription: { $type: 'objectId' },
+  orderStatus: { $in: Object.keys(ORDER_STATUS_TRANSITIONS).filter(status => status !== 'cancelled') }
+};
+
+orderSchema.index(
+  { subscription: 1, deliveryDate: 1 },
+  { unique: true, partialFilterExpression: SUBSCRIPTION_ORDER_FILTER }
+);
+orderSchema.index({ deliveryAgent: 1, deliveryDate: 1 });
+
+// Databases from before the subscription index was unique, or before it left
+// out cancelled orders, have an older one under the same name; swap it for
+// the current one
+orderSchema.statics.migrateSubscriptionIndex = async function() {
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    if (error.codeName === 'NamespaceNotFound') return false;
+    throw error;
+  }
+
+  const old = indexes.find(index => index.name === 'subscription_1_deliveryDate_1' &&
+    (!index.unique || !index.partialFilterExpression?.orderStatus));
+  if (!old) return false;
+
+  await this.collection.dropIndex(old.name);
+  await this.createIndexes();
+  return true;
+};
+
 // Generate order number
 orderSchema.pre('save', async function() {
   if (this.isNew) {
@@ -99,4 +459,53 @@ orderSchema.pre('save', async function() {
   }
 });
 
+// Amount that can still be refunded; pending refunds count as spoken for
+orderSchema.methods.getRefundableAmount = function() {
+  const committed = this.refunds
+    .filter(refund => ['pending', 'succeeded', 'requires_action'].includes(refund.status))
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(Math.round((this.totalAmount - committed) * 100) / 100, 0);
+};
+
+// Recompute refundedAmount and paymentStatus from the refund records
+orderSchema.methods.syncRefundTotals = function() {
+  const refunded = this.refunds
+    .filter(refund => refund.status === 'succeeded')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  this.refundedAmount = Math.round(refunded * 100) / 100;
+
+  if (this.refundedAmount <= 0) return;
+  this.paymentStatus = this.refundedAmount >= this.totalAmount ? 'refunded' : 'partially_refunded';
+};
+
+orderSchema.statics.ORDER_STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
+
+orderSchema.statics.canTransition = function(from, to) {
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// History entry for a status change, for use in $push updates
+orderSchema.statics.historyEntry = function(from, to, { by, note } = {}) {
+  return { from, to, changedBy: by, note, changedAt: new Date() };
+};
+
+// Move the order to a new status and record it in statusHistory. Illegal
+// transitions throw a 400 error unless force is set (system corrections,
+// e.g. reinstating an order whose payment arrived late).
+orderSchema.methods.setStatus = function(to, { by, note, force = false } = {}) {
+  const from = this.orderStatus;
+
+  if (!force && !this.constructor.canTransition(from, to)) {
+    const error = new Error(`Cannot change order status from ${from} to ${to}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  this.orderStatus = to;
+  this.statusHistory.push(this.constructor.historyEntry(from, to, { by, note }));
+  if (to === 'delivered') {
+    this.deliveredAt = new Date();
+  }
+};
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One email or SMS waiting in, or sent from, the outbox. Rows are written
+// when the event happens and delivered by the notification dispatcher, which
+// retries failed sends with a growing delay.
+const outboxMessageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order'
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  subject: String,
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when a send is claimed, so a dispatcher that crashed mid-send can be
+  // told apart from one that is still working
+  lockedAt: Date,
+  lastError: String,
+  sentAt: Date,
+  // Stops a replayed webhook or retried request from sending the same
+  // message twice
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  }
+}, {
+  timestamps: true
+});
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
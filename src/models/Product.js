@@ -1,5 +1,60 @@
 const mongoose = require('mongoose');
 
+// A sellable pack size of a product, e.g. curd 200g / 400g / 1kg. Orders,
+// carts and stock all work per variant.
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true
+  },
+  // Pack size in the variant's unit, e.g. 400 with unit 'g'
+  size: Number,
+  unit: {
+    type: String,
+    default: 'piece'
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  // Shown struck through next to price
+  compareAtPrice: {
+    type: Number,
+    min: [0, 'Compare-at price cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: [0, 'Quantity cannot be negative']
+  },
+  barcode: {
+    type: String,
+    trim: true
+  },
+  // Refundable deposit per returnable bottle; 0 for non-returnable packs
+  deposit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Deposit cannot be negative']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+variantSchema.virtual('label').get(function() {
+  return this.size ? `${this.size} ${this.unit}` : this.unit;
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -12,11 +67,16 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Product description is required'],
     maxlength: [1000, 'Description cannot be more than 1000 characters']
   },
+  // Lowest and highest active variant price, kept in sync from variants
   price: {
     type: Number,
     required: [true, 'Product price is required'],
     min: [0, 'Price cannot be negative']
   },
+  maxPrice: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
   category: {
     type: String,
     required: [true, 'Product category is required'],
@@ -47,22 +107,36 @@ const productSchema = new mongoose.Schema({
     type: String,
     default: 'Store in refrigerator at 4°C or below'
   },
+  // Total stock across variants, kept in sync from variants
   quantity: {
     type: Number,
     required: true,
     min: [0, 'Quantity cannot be negative']
   },
+  // Unit of the default variant
   unit: {
     type: String,
     required: true,
     // enum: ['ml', 'l', 'g', 'kg', 'piece', 'pack'],
     default: 'piece'
   },
+  variants: [variantSchema],
   isAvailable: {
     type: Boolean,
     default: true
   },
+  // Taken off sale because its stock ran out, rather than by an admin.
+  // Only these products are put back on sale when stock returns.
+  soldOut: {
+    type: Boolean,
+    default: false
+  },
   tags: [String],
+  // Overrides the tax rate of the product's category
+  taxRate: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'TaxRate'
+  },
   rating: {
     average: { type: Number, default: 0, min: 0, max: 5 },
     count: { type: Number, default: 0 }
@@ -71,9 +145,68 @@ const productSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Products from before variants get a default variant built from their
+// single price, stock and unit
+const buildDefaultVariant = (product) => ({
+  sku: `P-${product._id.toString().toUpperCase()}`,
+  unit: product.unit || 'piece',
+  price: product.price,
+  quantity: product.quantity || 0,
+  isDefault: true
+});
+
+// Keep price, maxPrice, quantity and unit in line with the variants so
+// listing, filtering and legacy readers keep working
+productSchema.pre('validate', function() {
+  if (this.variants.length === 0 && this.price !== undefined) {
+    this.variants.push(buildDefaultVariant(this));
+  }
+  if (this.variants.length === 0) return;
+
+  if (!this.variants.some(variant => variant.isDefault)) {
+    this.variants[0].isDefault = true;
+  }
+
+  const active = this.variants.filter(variant => variant.isActive);
+  const prices = (active.length > 0 ? active : this.variants).map(variant => variant.price);
+  this.price = Math.min(...prices);
+  this.maxPrice = Math.max(...prices);
+  this.quantity = this.variants.reduce((sum, variant) => sum + (variant.quantity || 0), 0);
+  this.unit = this.getVariant().unit;
+});
+
+// The requested variant, or the default one when no id is given. Returns
+// null for unknown ids.
+productSchema.methods.getVariant = function(variantId) {
+  if (variantId) return this.variants.id(variantId);
+  return this.variants.find(variant => variant.isDefault) || this.variants[0] || null;
+};
+
+// Give every product saved before variants existed a default variant
+productSchema.statics.migrateDefaultVariants = async function() {
+  const products = await this.find({ 'variants.0': { $exists: false } });
+
+  let migrated = 0;
+  for (const product of products) {
+    const result = await this.updateOne(
+      { _id: product._id, 'variants.0': { $exists: false } },
+      {
+        $set: { maxPrice: product.price },
+        $push: { variants: buildDefaultVariant(product) }
+      }
+    );
+    migrated += result.modifiedCount;
+  }
+
+  return migrated;
+};
+
 // Index for better search performance
 productSchema.index({ name: 'text', description: 'text', brand: 'text' });
 productSchema.index({ category: 1, price: 1 });
 productSchema.index({ 'rating.average': -1 });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+productSchema.index({ 'variants.barcode': 1 }, { sparse: true });
+productSchema.index({ 'variants.price': 1 });
 
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
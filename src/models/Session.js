@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. The refresh token is rotated on every use; the hashes
+// of the last few tokens used are kept so a replayed one can be recognised,
+// which revokes the whole session. Access tokens carry the session id and stop
+// working as soon as the session is revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  usedTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked-all', 'token-reuse', 'password-changed', 'deactivated']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ usedTokenHashes: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
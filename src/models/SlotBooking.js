@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Number of orders booked into a slot on one date. One document per
+// slot/date so capacity can be enforced with a single conditional $inc.
+const slotBookingSchema = new mongoose.Schema({
+  slot: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'DeliverySlot',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+slotBookingSchema.index({ slot: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlotBooking', slotBookingSchema);
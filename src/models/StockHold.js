@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Stock taken for an unpaid card order. The quantities are already
+// decremented from the products; the hold records how long the order may
+// stay unpaid before that stock is handed back.
+const stockHoldSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: mongoose.Schema.ObjectId,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'expired', 'released'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  paymentIntentId: String,
+  resolvedAt: Date,
+  releaseReason: String
+}, {
+  timestamps: true
+});
+
+stockHoldSchema.index({ status: 1, expiresAt: 1 });
+
+// Hold window in minutes, STOCK_HOLD_MINUTES (default 15)
+stockHoldSchema.statics.getHoldExpiry = function() {
+  const minutes = parseInt(process.env.STOCK_HOLD_MINUTES) || 15;
+  return new Date(Date.now() + minutes * 60 * 1000);
+};
+
+module.exports = mongoose.model('StockHold', stockHoldSchema);
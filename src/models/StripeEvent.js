@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Every webhook event Stripe delivers, keyed by its event id. Stripe delivers
+// at least once, so this is both the dedup check and the audit trail.
+const stripeEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  livemode: {
+    type: Boolean,
+    default: false
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'failed'],
+    default: 'received'
+  },
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  processingStartedAt: Date,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+stripeEventSchema.index({ status: 1, createdAt: -1 });
+stripeEventSchema.index({ type: 1, createdAt: -1 });
+stripeEventSchema.index({ 'payload.data.object.id': 1 });
+
+module.exports = mongoose.model('StripeEvent', stripeEventSchema);
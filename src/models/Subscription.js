@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const { startOfDay, daysBetween, isSameDay } = require('../utils/dates');
+
+const subscriptionItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Product variant; the product's default variant when not set
+  variant: mongoose.Schema.ObjectId,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  }
+}, { _id: false });
+
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [subscriptionItemSchema],
+    validate: [items => items.length > 0, 'Subscription must have at least one item']
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'alternate', 'weekly'],
+    default: 'daily'
+  },
+  // 0 = Sunday ... 6 = Saturday, only used for weekly plans
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: Date,
+  deliveryAddress: {
+    type: {
+      type: String,
+      enum: ['home', 'work', 'other'],
+      default: 'home'
+    },
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  contactNumber: {
+    type: String,
+    required: true
+  },
+  deliverySlot: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'DeliverySlot'
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cod', 'wallet'],
+    default: 'cod'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled', 'completed'],
+    default: 'active'
+  },
+  // Vacation ranges, both ends inclusive
+  pauses: [{
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    reason: String
+  }],
+  skippedDates: [Date],
+  // Per-day quantity changes that replace the regular items for that date
+  overrides: [{
+    date: { type: Date, required: true },
+    items: [subscriptionItemSchema]
+  }],
+  lastGeneratedFor: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ user: 1, status: 1 });
+subscriptionSchema.index({ status: 1, startDate: 1 });
+
+subscriptionSchema.pre('validate', function() {
+  if (this.frequency === 'weekly' && (!this.daysOfWeek || this.daysOfWeek.length === 0)) {
+    this.invalidate('daysOfWeek', 'Weekly subscriptions need at least one delivery day');
+  }
+  if (this.endDate && this.startDate && startOfDay(this.endDate) < startOfDay(this.startDate)) {
+    this.invalidate('endDate', 'End date cannot be before start date');
+  }
+});
+
+// Whether the plan's schedule falls on this date, ignoring pauses and skips
+subscriptionSchema.methods.isScheduledOn = function(date) {
+  const day = startOfDay(date);
+  if (day < startOfDay(this.startDate)) return false;
+  if (this.endDate && day > startOfDay(this.endDate)) return false;
+
+  switch (this.frequency) {
+    case 'daily':
+      return true;
+    case 'alternate':
+      return daysBetween(this.startDate, day) % 2 === 0;
+    case 'weekly':
+      return this.daysOfWeek.includes(day.getUTCDay());
+    default:
+      return false;
+  }
+};
+
+subscriptionSchema.methods.isPausedOn = function(date) {
+  const day = startOfDay(date);
+  return this.pauses.some(pause =>
+    day >= startOfDay(pause.startDate) && day <= startOfDay(pause.endDate)
+  );
+};
+
+subscriptionSchema.methods.isSkippedOn = function(date) {
+  return this.skippedDates.some(skipped => isSameDay(skipped, date));
+};
+
+// Whether an order should actually be delivered on this date
+subscriptionSchema.methods.isDeliveryDay = function(date) {
+  return this.status === 'active' &&
+    this.isScheduledOn(date) &&
+    !this.isPausedOn(date) &&
+    !this.isSkippedOn(date);
+};
+
+subscriptionSchema.methods.getItemsForDate = function(date) {
+  const override = this.overrides.find(entry => isSameDay(entry.date, date));
+  return override ? override.items : this.items;
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A tax slab, e.g. GST 5%. A product uses its own taxRate if set, otherwise
+// the active rate listing its category, otherwise the default rate.
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rate name is required'],
+    unique: true,
+    trim: true
+  },
+  // Percentage added on top of the (discounted) item price
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative'],
+    max: [100, 'Rate cannot be more than 100']
+  },
+  categories: [String],
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+taxRateSchema.index({ categories: 1 });
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
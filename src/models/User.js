@@ -28,7 +28,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'admin', 'delivery'],
     default: 'user'
   },
   addresses: [{
@@ -50,6 +50,57 @@ const userSchema = new mongoose.Schema({
       default: false
     }
   }],
+  // Stripe Customer that holds the user's saved cards
+  stripeCustomerId: String,
+  // Bottle deposits returned and kept for the next order
+  depositCredit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Channels for order and payment messages, and events switched off
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: true
+    },
+    muted: [String]
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // Verification and reset tokens are stored as SHA-256 hashes; the plain
+  // token only ever leaves the server in the email
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: Date,
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: Date,
+  // First-order-only coupon redeemed on an order that is still live. Set by
+  // a conditional update, so only one of two first orders can use one.
+  firstOrderCoupon: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Coupon'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -58,6 +109,9 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+
 // Add pepper to password before hashing
 userSchema.pre('save', async function () {
   if (!this.isModified('password')) return; // no next()
@@ -67,9 +121,17 @@ userSchema.pre('save', async function () {
   
   // Hash password with salt rounds
   this.password = await bcrypt.hash(pepperedPassword, parseInt(process.env.BCRYPT_SALT_ROUNDS));
+  if (!this.isNew) this.passwordChangedAt = new Date();
 });
 
 
+// Whether the password changed after a token issued at iat (JWT seconds).
+// iat is rounded down, so a token from the same second still counts as newer.
+userSchema.methods.changedPasswordAfter = function(iat) {
+  if (!this.passwordChangedAt) return false;
+  return this.passwordChangedAt.getTime() >= (iat + 1) * 1000;
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   const pepperedPassword = candidatePassword + process.env.PEPPER;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Always changed through utils/wallet so every movement has a ledger entry
+  balance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet balance cannot be negative']
+  },
+  // Scheduled (subscription) orders are not placed while the balance is below this
+  lowBalanceThreshold: {
+    type: Number,
+    default: () => parseFloat(process.env.WALLET_LOW_BALANCE_THRESHOLD) || 0,
+    min: [0, 'Threshold cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+walletSchema.virtual('isLow').get(function() {
+  return this.balance < this.lowBalanceThreshold;
+});
+
+walletSchema.set('toJSON', { virtuals: true });
+walletSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Wallet', walletSchema);
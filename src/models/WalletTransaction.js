@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const walletTransactionSchema = new mongoose.Schema({
+  wallet: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['topup', 'order', 'refund', 'adjustment', 'deposit'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order'
+  },
+  // Top-ups are credited from the webhook; the unique index stops a retried
+  // event from crediting the same payment twice
+  paymentIntentId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  reason: String,
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ order: 1, source: 1 });
+
+// The ledger is append-only: corrections are made with a new adjustment entry
+const rejectChange = function() {
+  throw new Error('Wallet transactions are append-only and cannot be modified');
+};
+
+walletTransactionSchema.pre('save', function() {
+  if (!this.isNew) rejectChange();
+});
+walletTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
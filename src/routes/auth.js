@@ -3,15 +3,37 @@ const {
   register,
   login,
   getMe,
-  updateProfile
+  updateProfile,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refreshSession,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { protect, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refreshSession);
+router.post('/logout', optionalAuth, logout);
+router.post('/verify-email', verifyEmail);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/resend-verification', protect, resendVerification);
 router.get('/me', protect, getMe);
 router.put('/profile', protect, updateProfile);
+router.get('/notification-preferences', protect, getNotificationPreferences);
+router.put('/notification-preferences', protect, updateNotificationPreferences);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeAllSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 
 module.exports = router;
\ No newline at end of file
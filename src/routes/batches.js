@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getBatches,
+  getExpiringBatches,
+  createBatch,
+  updateBatch
+} = require('../controllers/batchController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', getBatches);
+router.get('/expiring', getExpiringBatches);
+router.post('/', createBatch);
+router.put('/:id', updateBatch);
+
+module.exports = router;
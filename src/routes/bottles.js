@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  getMyBottles,
+  recordBottleReturns,
+  getBottleReport
+} = require('../controllers/bottleController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/me', getMyBottles);
+
+// Delivery staff and admin routes
+router.post('/returns', authorize('admin', 'delivery'), recordBottleReturns);
+router.get('/report', authorize('admin'), getBottleReport);
+
+module.exports = router;
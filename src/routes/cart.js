@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeCart,
+  getAbandonedCarts
+} = require('../controllers/cartController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', getCart);
+router.delete('/', clearCart);
+router.post('/items', addCartItem);
+router.put('/items/:productId', updateCartItem);
+router.delete('/items/:productId', removeCartItem);
+router.post('/merge', mergeCart);
+
+// Admin routes
+router.get('/admin/abandoned', authorize('admin'), getAbandonedCarts);
+
+module.exports = router;
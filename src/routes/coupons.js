@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Admin routes; customers preview coupons via POST /api/orders/validate-coupon
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', getCoupons);
+router.post('/', createCoupon);
+router.get('/:id', getCoupon);
+router.put('/:id', updateCoupon);
+router.delete('/:id', deleteCoupon);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const {
+  getSlots,
+  getAllSlots,
+  createSlot,
+  updateSlot,
+  deleteSlot,
+  getBlackouts,
+  createBlackout,
+  deleteBlackout
+} = require('../controllers/deliveryController');
+const {
+  checkServiceability,
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone
+} = require('../controllers/zoneController');
+const {
+  assignOrders,
+  getMyRun,
+  markOutForDelivery,
+  markDelivered,
+  markDeliveryFailed,
+  updateLocation,
+  collectCod
+} = require('../controllers/deliveryRunController');
+const { protect, authorize } = require('../middleware/auth');
+const { deliveryProofUpload, handleUploadError } = require('../middleware/upload');
+
+const proofFiles = deliveryProofUpload.fields([
+  { name: 'photo', maxCount: 1 },
+  { name: 'signature', maxCount: 1 }
+]);
+
+const router = express.Router();
+
+// Public routes
+router.get('/slots', getSlots);
+router.get('/blackouts', getBlackouts);
+router.get('/zones/check', checkServiceability);
+
+// Delivery agent routes
+router.get('/run', protect, authorize('delivery'), getMyRun);
+router.put('/run/orders/:id/out-for-delivery', protect, authorize('delivery'), markOutForDelivery);
+router.put('/run/orders/:id/delivered', protect, authorize('delivery'), proofFiles, handleUploadError, markDelivered);
+router.put('/run/orders/:id/failed', protect, authorize('delivery'), markDeliveryFailed);
+router.put('/run/orders/:id/cod', protect, authorize('delivery'), collectCod);
+router.put('/run/location', protect, authorize('delivery'), updateLocation);
+
+// Admin routes
+router.use(protect);
+router.use(authorize('admin'));
+
+router.post('/assignments', assignOrders);
+
+router.get('/slots/all', getAllSlots);
+router.post('/slots', createSlot);
+router.put('/slots/:id', updateSlot);
+router.delete('/slots/:id', deleteSlot);
+router.post('/blackouts', createBlackout);
+router.delete('/blackouts/:id', deleteBlackout);
+router.get('/zones', getZones);
+router.post('/zones', createZone);
+router.put('/zones/:id', updateZone);
+router.delete('/zones/:id', deleteZone);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getMarkdownRules,
+  createMarkdownRule,
+  updateMarkdownRule,
+  deleteMarkdownRule,
+  getMarkdownReport
+} = require('../controllers/markdownRuleController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', getMarkdownRules);
+router.get('/report', getMarkdownReport);
+router.post('/', createMarkdownRule);
+router.put('/:id', updateMarkdownRule);
+router.delete('/:id', deleteMarkdownRule);
+
+module.exports = router;
@@ -2,28 +2,47 @@
 const express = require('express');
 const {
   createOrder,
+  validateCoupon,
   getOrders,
   getOrder,
   updateOrderStatus,
   getMyOrders,
   cancelOrder,
-  createPayment
+  createPayment,
+  getStockHolds,
+  createRefund,
+  getInvoice,
+  exportInvoices,
+  getDeliveryProof,
+  streamOrders,
+  streamOrder
 } = require('../controllers/orderController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, protectStream, authorize, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Event streams authenticate on their own, as EventSource can only pass the
+// token in the query string
+router.get('/stream', protectStream, streamOrders);
+router.get('/:id/stream', protectStream, streamOrder);
+
 router.use(protect);
 
-router.post('/', createOrder);
+router.post('/', requireVerifiedEmail, createOrder);
+router.post('/validate-coupon', validateCoupon);
 router.get('/user/my-orders', getMyOrders);
+router.get('/holds', authorize('admin'), getStockHolds);
+router.get('/invoices/export', authorize('admin'), exportInvoices);
 router.post('/:id/pay', createPayment);
 router.get('/:id', getOrder);
+router.get('/:id/invoice', getInvoice);
+router.get('/:id/proof/:file', getDeliveryProof);
 router.put('/:id/cancel', cancelOrder);
 
 // Admin routes
 router.use(authorize('admin'));
 router.get('/', getOrders);
 router.put('/:id/status', updateOrderStatus);
+router.post('/:id/refund', createRefund);
 
 module.exports = router;
\ No newline at end of file
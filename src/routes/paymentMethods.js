@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  createSetupIntent,
+  getPaymentMethods,
+  setDefaultPaymentMethod,
+  deletePaymentMethod
+} = require('../controllers/paymentMethodController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', getPaymentMethods);
+router.post('/setup-intent', createSetupIntent);
+router.put('/:id/default', setDefaultPaymentMethod);
+router.delete('/:id', deletePaymentMethod);
+
+module.exports = router;
@@ -1,5 +1,12 @@
 const express = require('express');
-const { webhookHandler, testConnectivity } = require('../controllers/stripeController');
+const {
+  webhookHandler,
+  testConnectivity,
+  getEvents,
+  getEvent,
+  replayEvent
+} = require('../controllers/stripeController');
+const { protect, authorize } = require('../middleware/auth');
 const router = express.Router();
 
 // IMPORTANT: Stripe webhook needs raw body for signature verification
@@ -8,4 +15,9 @@ router.post('/webhook', express.raw({ type: 'application/json' }), webhookHandle
 // Connectivity check: GET /api/stripe/test
 router.get('/test', testConnectivity);
 
+// Webhook event log (Admin)
+router.get('/events', protect, authorize('admin'), getEvents);
+router.get('/events/:id', protect, authorize('admin'), getEvent);
+router.post('/events/:id/replay', protect, authorize('admin'), replayEvent);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,39 @@
+const express = require('express');
+const {
+  createSubscription,
+  getMySubscriptions,
+  getSubscription,
+  updateSubscription,
+  addPause,
+  removePause,
+  skipDate,
+  unskipDate,
+  setOverride,
+  removeOverride,
+  cancelSubscription,
+  getSubscriptions,
+  generateOrders
+} = require('../controllers/subscriptionController');
+const { protect, authorize, requireVerifiedEmail } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Admin routes
+router.get('/admin/all', authorize('admin'), getSubscriptions);
+router.post('/admin/generate', authorize('admin'), generateOrders);
+
+router.post('/', requireVerifiedEmail, createSubscription);
+router.get('/', getMySubscriptions);
+router.get('/:id', getSubscription);
+router.put('/:id', updateSubscription);
+router.put('/:id/cancel', cancelSubscription);
+router.post('/:id/pauses', addPause);
+router.delete('/:id/pauses/:pauseId', removePause);
+router.post('/:id/skips', skipDate);
+router.delete('/:id/skips/:date', unskipDate);
+router.put('/:id/overrides', setOverride);
+router.delete('/:id/overrides/:date', removeOverride);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate
+} = require('../controllers/taxRateController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', getTaxRates);
+router.post('/', createTaxRate);
+router.put('/:id', updateTaxRate);
+router.delete('/:id', deleteTaxRate);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getWallet,
+  getTransactions,
+  createTopUp,
+  getUserTransactions,
+  adjustWallet,
+  updateWalletSettings
+} = require('../controllers/walletController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', getWallet);
+router.get('/transactions', getTransactions);
+router.post('/topup', createTopUp);
+
+// Admin routes
+router.get('/admin/:userId/transactions', authorize('admin'), getUserTransactions);
+router.post('/admin/:userId/adjust', authorize('admin'), adjustWallet);
+router.put('/admin/:userId', authorize('admin'), updateWalletSettings);
+
+module.exports = router;
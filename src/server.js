@@ -1,8 +1,36 @@
 const app = require('./app');
 const connectDB = require('./config/database');
+const Product = require('./models/Product');
+const Order = require('./models/Order');
+const { startSubscriptionScheduler } = require('./jobs/subscriptionScheduler');
+const { startStockHoldSweeper } = require('./jobs/stockHoldSweeper');
+const { startBatchExpirySweeper } = require('./jobs/batchExpirySweeper');
+const { startNotificationDispatcher } = require('./jobs/notificationDispatcher');
 
-// Connect to database
-connectDB();
+// Connect to database, then bring data from older versions up to date
+const database = connectDB();
+
+database
+  .then(() => Product.migrateDefaultVariants())
+  .then(migrated => {
+    if (migrated > 0) console.log(`Added default variants to ${migrated} products`);
+  })
+  .catch(error => console.error('Product variant migration error:', error));
+
+database
+  .then(() => Order.migrateSubscriptionIndex())
+  .then(migrated => {
+    if (migrated) console.log('Made the subscription order index unique');
+  })
+  .catch(error => console.error('Subscription order index migration error:', error));
+
+// Background jobs
+if (process.env.DISABLE_SCHEDULERS !== 'true') {
+  startSubscriptionScheduler();
+  startStockHoldSweeper();
+  startBatchExpirySweeper();
+  startNotificationDispatcher();
+}
 
 const PORT = process.env.PORT || 5000;
 
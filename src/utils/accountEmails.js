@@ -0,0 +1,39 @@
+const { getTransport } = require('./notificationTransports');
+
+// Account emails carry a single-use token, so they are sent straight through
+// the email transport instead of the outbox: the plain token is never
+// stored, only its hash on the user.
+
+// Links point at the frontend, APP_URL, which posts the token back to the API
+const appLink = (pathname, token) => {
+  const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}?token=${token}`;
+};
+
+const storeName = () => process.env.SELLER_NAME || 'Dairy Drop';
+
+const sendVerificationEmail = async (user, token, expiresInHours) => {
+  await getTransport('email').send({
+    to: user.email,
+    subject: `Verify your email for ${storeName()}`,
+    body: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n\n` +
+      `${appLink('/verify-email', token)}\n\n` +
+      `The link expires in ${expiresInHours} hour(s). If you didn't create an account, you can ignore this email.`
+  });
+};
+
+const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+  await getTransport('email').send({
+    to: user.email,
+    subject: `Reset your ${storeName()} password`,
+    body: `Hi ${user.name},\n\nWe received a request to reset your password. Choose a new one here:\n\n` +
+      `${appLink('/reset-password', token)}\n\n` +
+      `The link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+      'If you didn\'t ask for this, you can ignore this email; your password is unchanged.'
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,87 @@
+const Batch = require('../models/Batch');
+
+const itemBatchFilter = (item) => {
+  const filter = { product: item.product };
+  if (item.variant) filter.variant = item.variant;
+  return filter;
+};
+
+// Take an item's quantity from its unexpired batches, earliest expiry first.
+// Each batch is decremented with a conditional update, so concurrent orders
+// never take the same units; a batch that changed under us is re-read.
+// Returns the allocations; any quantity left over comes from stock received
+// before batches were tracked.
+const allocateBatches = async (item) => {
+  const allocations = [];
+  let remaining = item.quantity;
+
+  while (remaining > 0) {
+    const now = new Date();
+    const batch = await Batch.findOne({
+      ...itemBatchFilter(item),
+      quantity: { $gt: 0 },
+      expiryDate: { $gt: now }
+    }).sort({ expiryDate: 1, createdAt: 1 });
+
+    if (!batch) break;
+
+    const take = Math.min(remaining, batch.quantity);
+    const taken = await Batch.findOneAndUpdate(
+      { _id: batch._id, quantity: { $gte: take }, expiryDate: { $gt: now } },
+      { $inc: { quantity: -take } }
+    );
+    if (!taken) continue;
+
+    allocations.push({
+      batch: batch._id,
+      batchNumber: batch.batchNumber,
+      expiryDate: batch.expiryDate,
+      quantity: take
+    });
+    remaining -= take;
+  }
+
+  return allocations;
+};
+
+// Put allocated units back into their batches. Units returned to a batch that
+// has since expired are written off by the next expiry sweep.
+const returnBatches = async (allocations = []) => {
+  for (const allocation of allocations) {
+    await Batch.updateOne({ _id: allocation.batch }, { $inc: { quantity: allocation.quantity } });
+  }
+};
+
+// Empty expired batches that still have units, optionally only those of one
+// item. Each batch is claimed with a conditional update on the quantity we
+// read, so a unit is written off once. Returns the claimed batches with the
+// quantity written off.
+const claimExpiredBatches = async (item) => {
+  const batches = await Batch.find({
+    ...(item ? itemBatchFilter(item) : {}),
+    quantity: { $gt: 0 },
+    expiryDate: { $lte: new Date() }
+  }).limit(500);
+
+  const claimed = [];
+  for (const batch of batches) {
+    const writtenOff = await Batch.findOneAndUpdate(
+      { _id: batch._id, quantity: batch.quantity },
+      {
+        $set: { quantity: 0, writtenOffAt: new Date() },
+        $inc: { writtenOffQuantity: batch.quantity }
+      }
+    );
+    if (writtenOff) {
+      claimed.push({ batch, quantity: batch.quantity });
+    }
+  }
+
+  return claimed;
+};
+
+module.exports = {
+  allocateBatches,
+  returnBatches,
+  claimExpiredBatches
+};
@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const BottleAccount = require('../models/BottleAccount');
+const { creditWallet, roundAmount } = require('./wallet');
+
+const CREDIT_TARGETS = ['wallet', 'next-order'];
+
+// Card payments below Stripe's minimum charge fail, so deposit credit never
+// brings a card order under this amount
+const MIN_CARD_CHARGE = 0.5;
+
+const bottleError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Two first deliveries of the same bottle can race to create the account;
+// the loser retries as a plain update
+const addToAccount = async (filter, update) => {
+  try {
+    await BottleAccount.updateOne(filter, update, { upsert: true, setDefaultsOnInsert: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    await BottleAccount.updateOne(filter, update);
+  }
+};
+
+// Add a delivered order's bottles to the customer's outstanding count. The
+// order is flagged with a conditional update first, so its bottles are only
+// counted once.
+const issueBottles = async (order) => {
+  const deposits = order.pricing?.deposits || [];
+  if (deposits.length === 0) return;
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, bottlesIssued: { $ne: true } },
+    { bottlesIssued: true }
+  );
+  if (!claimed) return;
+
+  for (const line of deposits) {
+    await addToAccount(
+      { user: order.user, product: line.product, variant: line.variant },
+      {
+        $inc: { outstanding: line.quantity, depositHeld: line.total },
+        $set: { name: line.name, zone: order.deliveryZone?.zone, lastIssuedAt: new Date() }
+      }
+    );
+  }
+};
+
+// Take bottles off an account and work out their share of the deposit held.
+// Conditional on the counts we read, so two returns can't credit the same
+// bottle.
+const takeFromAccount = async (filter, quantity) => {
+  for (;;) {
+    const account = await BottleAccount.findOne(filter);
+    if (!account || account.outstanding < quantity) {
+      throw bottleError(`Only ${account?.outstanding || 0} bottle(s) of ${account?.name || 'this product'} outstanding`);
+    }
+
+    const credit = roundAmount(account.depositHeld * quantity / account.outstanding);
+    const updated = await BottleAccount.findOneAndUpdate(
+      { _id: account._id, outstanding: account.outstanding, depositHeld: account.depositHeld },
+      {
+        $inc: { outstanding: -quantity, depositHeld: -credit },
+        $set: { lastReturnedAt: new Date() }
+      }
+    );
+    if (updated) return credit;
+  }
+};
+
+const creditDeposit = async (order, recorded, creditTo, by) => {
+  const total = roundAmount(recorded.reduce((sum, line) => sum + line.credit, 0));
+
+  if (total > 0 && creditTo === 'wallet') {
+    await creditWallet(order.user, total, {
+      source: 'deposit',
+      order: order._id,
+      reason: 'Bottle deposit returned',
+      createdBy: by
+    });
+  } else if (total > 0) {
+    await User.updateOne({ _id: order.user }, { $inc: { depositCredit: total } });
+  }
+
+  await Order.updateOne({ _id: order._id }, { $push: { bottleReturns: { $each: recorded } } });
+};
+
+// Record empty bottles collected on an order's delivery and credit their
+// deposit back to the wallet or towards the customer's next order. Bottles
+// already taken off the count are credited even if a later line fails.
+const returnBottles = async (order, returns, { creditTo = 'wallet', by } = {}) => {
+  if (!Array.isArray(returns) || returns.length === 0) {
+    throw bottleError('Please provide the returned bottles');
+  }
+  if (!CREDIT_TARGETS.includes(creditTo)) {
+    throw bottleError(`Deposit can be credited to: ${CREDIT_TARGETS.join(', ')}`);
+  }
+
+  const lines = [];
+  for (const line of returns) {
+    const quantity = parseInt(line?.quantity);
+    if (!quantity || quantity < 1) {
+      throw bottleError('Each return needs a product and a quantity of at least 1');
+    }
+
+    const product = mongoose.isValidObjectId(line.product) ? await Product.findById(line.product) : null;
+    const variant = product && (!line.variant || mongoose.isValidObjectId(line.variant))
+      ? product.getVariant(line.variant)
+      : null;
+    if (!variant) {
+      throw bottleError(product ? 'Variant not found' : `Product not found: ${line.product}`, 404);
+    }
+
+    lines.push({ product: product._id, variant: variant._id, quantity });
+  }
+
+  const recorded = [];
+  try {
+    for (const line of lines) {
+      const credit = await takeFromAccount(
+        { user: order.user, product: line.product, variant: line.variant },
+        line.quantity
+      );
+      recorded.push({ ...line, credit, creditedTo: creditTo, recordedBy: by, recordedAt: new Date() });
+    }
+  } finally {
+    if (recorded.length > 0) {
+      await creditDeposit(order, recorded, creditTo, by);
+    }
+  }
+
+  return {
+    returns: recorded,
+    credit: roundAmount(recorded.reduce((sum, line) => sum + line.credit, 0)),
+    creditedTo: creditTo
+  };
+};
+
+// Take the customer's deposit credit for an order, up to what the order
+// costs. The whole credit is claimed in one update and any unused part put
+// back, so two orders can't spend the same credit. Returns the amount used.
+const claimDepositCredit = async (userId, grandTotal, paymentMethod) => {
+  const limit = paymentMethod === 'card' ? grandTotal - MIN_CARD_CHARGE : grandTotal;
+  if (!(limit > 0)) return 0;
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, depositCredit: { $gt: 0 } },
+    { $set: { depositCredit: 0 } }
+  );
+  if (!user) return 0;
+
+  const applied = roundAmount(Math.min(user.depositCredit, limit));
+  const unused = roundAmount(user.depositCredit - applied);
+  if (unused > 0) {
+    await User.updateOne({ _id: userId }, { $inc: { depositCredit: unused } });
+  }
+
+  return applied;
+};
+
+const restoreDepositCredit = async (userId, amount) => {
+  if (!(amount > 0)) return;
+  await User.updateOne({ _id: userId }, { $inc: { depositCredit: amount } });
+};
+
+// Spend deposit credit again for a cancelled order that was reinstated. The
+// credit may have been used elsewhere meanwhile; whatever is left is taken.
+const reclaimDepositCredit = async (userId, amount) => {
+  if (!(amount > 0)) return;
+
+  const taken = await User.updateOne(
+    { _id: userId, depositCredit: { $gte: amount } },
+    { $inc: { depositCredit: -amount } }
+  );
+  if (taken.modifiedCount === 0) {
+    await User.updateOne({ _id: userId }, { $set: { depositCredit: 0 } });
+  }
+};
+
+module.exports = {
+  issueBottles,
+  returnBottles,
+  claimDepositCredit,
+  restoreDepositCredit,
+  reclaimDepositCredit
+};
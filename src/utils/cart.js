@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { roundAmount } = require('./wallet');
+
+const cartError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getOrCreateCart = async (userId) => {
+  return Cart.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+const parseQuantity = (value) => {
+  const quantity = parseInt(value);
+  if (!quantity || quantity < 1) {
+    throw cartError('Quantity must be at least 1');
+  }
+  return quantity;
+};
+
+const loadVariant = async (productId, variantId) => {
+  const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+  if (!product) {
+    throw cartError('Product not found', 404);
+  }
+
+  // No variant given means the product's default pack
+  const variant = variantId && !mongoose.isValidObjectId(variantId) ? null : product.getVariant(variantId);
+  if (!variant) {
+    throw cartError('Variant not found', 404);
+  }
+
+  return { product, variant };
+};
+
+// Check the requested quantity of a variant can be bought
+const checkQuantity = ({ product, variant }, quantity) => {
+  if (!product.isAvailable || !variant.isActive) {
+    throw cartError(`Product is not available: ${product.name}`);
+  }
+
+  if (quantity > variant.quantity) {
+    throw cartError(`Only ${variant.quantity} of ${product.name} (${variant.label}) available`);
+  }
+};
+
+// Add to the quantity already in the cart
+const addItem = async (cart, productId, variantId, value) => {
+  const quantity = parseQuantity(value);
+  const { product, variant } = await loadVariant(productId, variantId);
+  const existing = cart.findItem(product._id, variant._id);
+  checkQuantity({ product, variant }, (existing ? existing.quantity : 0) + quantity);
+
+  if (existing) {
+    existing.quantity += quantity;
+    existing.price = variant.price;
+  } else {
+    cart.items.push({ product: product._id, variant: variant._id, quantity, price: variant.price });
+  }
+
+  cart.lastActivityAt = new Date();
+  return cart.save();
+};
+
+const setItemQuantity = async (cart, productId, variantId, value) => {
+  const quantity = parseQuantity(value);
+  const { product, variant } = await loadVariant(productId, variantId);
+  const existing = cart.findItem(product._id, variant._id);
+  if (!existing) {
+    throw cartError('Item is not in the cart', 404);
+  }
+
+  checkQuantity({ product, variant }, quantity);
+
+  existing.quantity = quantity;
+  existing.price = variant.price;
+  cart.lastActivityAt = new Date();
+  return cart.save();
+};
+
+const removeItem = async (cart, productId, variantId) => {
+  const { product, variant } = await loadVariant(productId, variantId);
+  const existing = cart.findItem(product._id, variant._id);
+  if (!existing) {
+    throw cartError('Item is not in the cart', 404);
+  }
+
+  cart.items = cart.items.filter(item => item !== existing);
+  cart.lastActivityAt = new Date();
+  return cart.save();
+};
+
+const emptyCart = async (cart) => {
+  cart.items = [];
+  cart.lastActivityAt = new Date();
+  return cart.save();
+};
+
+// Fold a guest (browser) cart into the user's cart. Quantities add up and are
+// capped at the available stock; products that can't be bought are skipped
+// rather than failing the whole merge.
+const mergeItems = async (cart, items = []) => {
+  const skipped = [];
+
+  for (const item of items) {
+    const quantity = parseInt(item?.quantity);
+    const product = mongoose.isValidObjectId(item?.product) ? await Product.findById(item.product) : null;
+    const variant = product && (!item.variant || mongoose.isValidObjectId(item.variant))
+      ? product.getVariant(item.variant)
+      : null;
+
+    if (!variant || !product.isAvailable || !variant.isActive || variant.quantity < 1 || !(quantity >= 1)) {
+      skipped.push({ product: item?.product, variant: item?.variant, reason: product ? 'Not available' : 'Product not found' });
+      continue;
+    }
+
+    const existing = cart.findItem(product._id, variant._id);
+    const wanted = (existing ? existing.quantity : 0) + quantity;
+    const capped = Math.min(wanted, variant.quantity);
+    if (capped < wanted) {
+      skipped.push({ product: product._id, variant: variant._id, reason: `Only ${variant.quantity} available` });
+    }
+
+    if (existing) {
+      existing.quantity = capped;
+    } else {
+      cart.items.push({ product: product._id, variant: variant._id, quantity: capped, price: variant.price });
+    }
+  }
+
+  if (items.length > 0) {
+    cart.lastActivityAt = new Date();
+    await cart.save();
+  }
+
+  return { cart, skipped };
+};
+
+// Reprice the cart against current products. Each line is flagged when the
+// product or variant is unavailable, has less stock than the quantity, or
+// changed price since the user last saw it. Seen prices are then updated, so
+// a price change is reported once; deleted products and variants are dropped
+// from the cart.
+const repriceCart = async (cart) => {
+  const products = await Product.find({ _id: { $in: cart.items.map(item => item.product) } })
+    .select('name images isAvailable variants');
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  let subtotal = 0;
+  let changed = false;
+  const items = [];
+  const removed = [];
+
+  cart.items.forEach(item => {
+    const product = productsById.get(item.product.toString());
+    const variant = product && product.getVariant(item.variant);
+
+    if (!variant) {
+      removed.push(item);
+      return;
+    }
+
+    const issues = [];
+    if (!product.isAvailable || !variant.isActive) issues.push('unavailable');
+    if (variant.quantity < item.quantity) issues.push('insufficient_stock');
+
+    const priceChanged = item.price !== undefined && item.price !== variant.price;
+    if (priceChanged) issues.push('price_changed');
+
+    const lineTotal = roundAmount(variant.price * item.quantity);
+    if (product.isAvailable && variant.isActive) subtotal += lineTotal;
+
+    items.push({
+      product: {
+        _id: product._id,
+        name: product.name,
+        image: product.images[0]?.url || ''
+      },
+      variant: {
+        _id: variant._id,
+        sku: variant.sku,
+        label: variant.label,
+        compareAtPrice: variant.compareAtPrice
+      },
+      quantity: item.quantity,
+      price: variant.price,
+      previousPrice: priceChanged ? item.price : undefined,
+      availableQuantity: variant.quantity,
+      lineTotal,
+      issues
+    });
+
+    if (item.price !== variant.price) {
+      item.price = variant.price;
+      changed = true;
+    }
+  });
+
+  if (removed.length > 0) {
+    cart.items = cart.items.filter(item => !removed.includes(item));
+  }
+  if (changed || removed.length > 0) {
+    await cart.save();
+  }
+
+  return {
+    items,
+    removedCount: removed.length,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: roundAmount(subtotal),
+    hasIssues: removed.length > 0 || items.some(item => item.issues.length > 0),
+    lastActivityAt: cart.lastActivityAt
+  };
+};
+
+module.exports = {
+  getOrCreateCart,
+  addItem,
+  setItemQuantity,
+  removeItem,
+  emptyCart,
+  mergeItems,
+  repriceCart
+};
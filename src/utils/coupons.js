@@ -0,0 +1,179 @@
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { roundAmount } = require('./wallet');
+
+const couponError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Ids of the ordered products the coupon applies to
+const getEligibleProducts = async (coupon, orderItems) => {
+  const ids = orderItems.map(item => item.product.toString());
+  if (!coupon.hasItemRestrictions()) return new Set(ids);
+
+  const products = await Product.find({ _id: { $in: ids } }).select('category brand');
+  const couponProducts = coupon.products.map(id => id.toString());
+
+  return new Set(products
+    .filter(product => coupon.categories.includes(product.category) ||
+      coupon.brands.includes(product.brand) ||
+      couponProducts.includes(product._id.toString()))
+    .map(product => product._id.toString()));
+};
+
+// Check a coupon code against a priced order and work out the discount and
+// which products it covers. Throws a 400 error explaining why the coupon
+// can't be used.
+const evaluateCoupon = async (code, { user, orderItems, subtotal, date = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+
+  if (!coupon || !coupon.isActive) {
+    throw couponError('Invalid coupon code');
+  }
+
+  if (coupon.validFrom && date < coupon.validFrom) {
+    throw couponError('Coupon is not valid yet');
+  }
+
+  if (coupon.validUntil && date > coupon.validUntil) {
+    throw couponError('Coupon has expired');
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('Coupon usage limit has been reached');
+  }
+
+  const usage = await CouponUsage.findOne({ coupon: coupon._id, user });
+  if (usage && usage.count >= coupon.perUserLimit) {
+    throw couponError('You have already used this coupon');
+  }
+
+  if (coupon.firstOrderOnly && await Order.exists({ user, orderStatus: { $ne: 'cancelled' } })) {
+    throw couponError('Coupon is only valid on your first order');
+  }
+
+  if (subtotal < coupon.minOrderValue) {
+    throw couponError(`Minimum order value for this coupon is ${coupon.minOrderValue}`);
+  }
+
+  const eligibleProducts = await getEligibleProducts(coupon, orderItems);
+  const eligibleSubtotal = roundAmount(orderItems
+    .filter(item => eligibleProducts.has(item.product.toString()))
+    .reduce((sum, item) => sum + item.price * item.quantity, 0));
+  if (eligibleSubtotal <= 0) {
+    throw couponError('Coupon does not apply to any items in this order');
+  }
+
+  let discount = coupon.discountType === 'percentage'
+    ? eligibleSubtotal * coupon.discountValue / 100
+    : coupon.discountValue;
+  if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+  discount = roundAmount(Math.min(discount, eligibleSubtotal));
+
+  return { coupon, discount, eligibleSubtotal, eligibleProducts };
+};
+
+// Count one redemption against the global and per-user limits. Both are
+// conditional increments, so concurrent checkouts can't go over either limit.
+const countRedemption = async (coupon, user) => {
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw couponError('Coupon usage limit has been reached');
+  }
+
+  try {
+    await CouponUsage.findOneAndUpdate(
+      { coupon: coupon._id, user, count: { $lt: coupon.perUserLimit } },
+      { $inc: { count: 1 } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    if (error.code === 11000) {
+      throw couponError('You have already used this coupon');
+    }
+    throw error;
+  }
+};
+
+// Redeem a coupon for an order being placed. Two first orders placed side by
+// side both pass evaluateCoupon's check, so a first-order-only coupon also
+// claims the user's firstOrderCoupon, which only one of them gets.
+const redeemCoupon = async (coupon, user) => {
+  if (coupon.firstOrderOnly) {
+    const claimed = await User.updateOne({ _id: user, firstOrderCoupon: null }, { firstOrderCoupon: coupon._id });
+    if (claimed.matchedCount === 0) {
+      throw couponError('Coupon is only valid on your first order');
+    }
+  }
+
+  try {
+    await countRedemption(coupon, user);
+  } catch (error) {
+    if (coupon.firstOrderOnly) {
+      await User.updateOne({ _id: user, firstOrderCoupon: coupon._id }, { $unset: { firstOrderCoupon: 1 } });
+    }
+    throw error;
+  }
+};
+
+const releaseCoupon = async (couponId, user) => {
+  await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  await CouponUsage.updateOne({ coupon: couponId, user, count: { $gt: 0 } }, { $inc: { count: -1 } });
+  await User.updateOne({ _id: user, firstOrderCoupon: couponId }, { $unset: { firstOrderCoupon: 1 } });
+};
+
+const getOrderCoupons = (order) => {
+  return (order.pricing?.discounts || []).filter(line => line.source === 'coupon' && line.coupon);
+};
+
+// Give back the coupon usage of a cancelled order
+const releaseOrderCoupons = async (order) => {
+  for (const line of getOrderCoupons(order)) {
+    await releaseCoupon(line.coupon, order.user);
+  }
+};
+
+// Take the usage again for a cancelled order that is being reinstated. The
+// order already carries the discount, so limits are not re-checked.
+const restoreOrderCoupons = async (order) => {
+  for (const line of getOrderCoupons(order)) {
+    const coupon = await Coupon.findOneAndUpdate({ _id: line.coupon }, { $inc: { usedCount: 1 } });
+    if (coupon?.firstOrderOnly) {
+      await User.updateOne({ _id: order.user }, { firstOrderCoupon: coupon._id });
+    }
+    await CouponUsage.updateOne(
+      { coupon: line.coupon, user: order.user },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
+  }
+};
+
+module.exports = {
+  normalizeCode,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  releaseOrderCoupons,
+  restoreOrderCoupons
+};
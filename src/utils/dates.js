@@ -0,0 +1,60 @@
+// Delivery dates are handled as whole days in UTC so that a date sent as
+// "2026-01-15" always maps to the same calendar day regardless of server TZ.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+const addDays = (value, days) => {
+  return new Date(startOfDay(value).getTime() + days * DAY_MS);
+};
+
+const daysBetween = (from, to) => {
+  return Math.round((startOfDay(to).getTime() - startOfDay(from).getTime()) / DAY_MS);
+};
+
+const isSameDay = (a, b) => {
+  return startOfDay(a).getTime() === startOfDay(b).getTime();
+};
+
+const toDateKey = (value) => {
+  return startOfDay(value).toISOString().slice(0, 10);
+};
+
+// Slot and cut-off times are configured as "HH:mm" in the store's local time;
+// STORE_UTC_OFFSET_MINUTES (e.g. 330 for IST) converts them to instants.
+const atStoreTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const offset = parseInt(process.env.STORE_UTC_OFFSET_MINUTES) || 0;
+  return new Date(startOfDay(day).getTime() + ((hours * 60 + minutes) - offset) * 60 * 1000);
+};
+
+// Today's calendar day as seen by the store, not the server
+const storeToday = () => {
+  const offset = parseInt(process.env.STORE_UTC_OFFSET_MINUTES) || 0;
+  return startOfDay(new Date(Date.now() + offset * 60 * 1000));
+};
+
+const isValidTime = (value) => {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+};
+
+const isValidDate = (value) => {
+  return value !== undefined && value !== null && value !== '' && !isNaN(new Date(value).getTime());
+};
+
+module.exports = {
+  DAY_MS,
+  startOfDay,
+  addDays,
+  daysBetween,
+  isSameDay,
+  toDateKey,
+  atStoreTime,
+  storeToday,
+  isValidTime,
+  isValidDate
+};
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const DeliverySlot = require('../models/DeliverySlot');
+const SlotBooking = require('../models/SlotBooking');
+const BlackoutDate = require('../models/BlackoutDate');
+const { startOfDay, addDays, atStoreTime, storeToday } = require('./dates');
+
+const slotError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getCutoff = (slot, date) => {
+  return atStoreTime(addDays(date, -slot.cutoffDaysBefore), slot.cutoffTime);
+};
+
+// Reason a slot cannot take orders for this date, ignoring capacity, or null
+const getClosedReason = (slot, date, zipCode, blackout, enforceCutoff = true) => {
+  const day = startOfDay(date);
+
+  if (!slot.isActive) return 'Delivery slot is not active';
+  if (day < storeToday()) return 'Delivery date is in the past';
+  if (blackout) return `No deliveries on this date${blackout.reason ? `: ${blackout.reason}` : ''}`;
+  if (slot.daysOfWeek.length > 0 && !slot.daysOfWeek.includes(day.getUTCDay())) {
+    return 'Delivery slot does not run on this day';
+  }
+  if (zipCode && slot.zipCodes.length > 0 && !slot.zipCodes.includes(zipCode)) {
+    return 'Delivery slot does not serve this zip code';
+  }
+  if (enforceCutoff && new Date() > getCutoff(slot, day)) return 'Ordering for this slot has closed';
+
+  return null;
+};
+
+// All active slots for a date with remaining capacity and open/closed state
+const getSlotsForDate = async (date, zipCode) => {
+  const day = startOfDay(date);
+
+  const slots = await DeliverySlot.find({ isActive: true }).sort({ startTime: 1 });
+  const blackout = await BlackoutDate.findOne({ date: day });
+  const bookings = await SlotBooking.find({ date: day, slot: { $in: slots.map(slot => slot._id) } });
+
+  return slots
+    .filter(slot => !zipCode || slot.zipCodes.length === 0 || slot.zipCodes.includes(zipCode))
+    .map(slot => {
+      const booking = bookings.find(entry => entry.slot.toString() === slot._id.toString());
+      const booked = booking ? booking.count : 0;
+      const remaining = Math.max(slot.capacity - booked, 0);
+      const closedReason = getClosedReason(slot, day, zipCode, blackout) ||
+        (remaining === 0 ? 'Delivery slot is full' : null);
+
+      return {
+        _id: slot._id,
+        name: slot.name,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        capacity: slot.capacity,
+        remaining,
+        cutoffAt: getCutoff(slot, day),
+        isOpen: !closedReason,
+        closedReason
+      };
+    });
+};
+
+// Book one unit of a slot's capacity for a date. The capacity check and the
+// increment are a single conditional upsert, so two orders racing for the
+// last place cannot both succeed: the loser hits the unique index instead.
+// Scheduled subscription deliveries pass enforceCutoff: false since the
+// cut-off only applies to customers placing new orders.
+const reserveSlot = async (slotId, date, zipCode, { enforceCutoff = true } = {}) => {
+  if (!mongoose.isValidObjectId(slotId)) {
+    throw slotError('Invalid delivery slot');
+  }
+
+  const day = startOfDay(date);
+  const slot = await DeliverySlot.findById(slotId);
+
+  if (!slot) {
+    throw slotError('Delivery slot not found', 404);
+  }
+
+  const blackout = await BlackoutDate.findOne({ date: day });
+  const closedReason = getClosedReason(slot, day, zipCode, blackout, enforceCutoff);
+  if (closedReason) {
+    throw slotError(closedReason);
+  }
+
+  try {
+    await SlotBooking.findOneAndUpdate(
+      { slot: slot._id, date: day, count: { $lt: slot.capacity } },
+      { $inc: { count: 1 } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      throw slotError('Delivery slot is full');
+    }
+    throw error;
+  }
+
+  return slot;
+};
+
+const releaseSlot = async (slotId, date) => {
+  if (!slotId) return;
+
+  await SlotBooking.updateOne(
+    { slot: slotId, date: startOfDay(date), count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+};
+
+module.exports = {
+  getSlotsForDate,
+  reserveSlot,
+  releaseSlot
+};
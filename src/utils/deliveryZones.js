@@ -0,0 +1,69 @@
+const DeliveryZone = require('../models/DeliveryZone');
+const { startOfDay } = require('./dates');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const zoneError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Find the active zone serving an address: zip code first, then polygon
+// lookup when the address carries coordinates
+const findZone = async ({ zipCode, location } = {}) => {
+  if (zipCode) {
+    const zone = await DeliveryZone.findOne({ isActive: true, zipCodes: String(zipCode).trim() });
+    if (zone) return zone;
+  }
+
+  if (location && location.lat !== undefined && location.lng !== undefined) {
+    return DeliveryZone.findOne({
+      isActive: true,
+      area: {
+        $geoIntersects: {
+          $geometry: { type: 'Point', coordinates: [Number(location.lng), Number(location.lat)] }
+        }
+      }
+    });
+  }
+
+  return null;
+};
+
+const calculateDeliveryFee = (zone, subtotal) => {
+  if (zone.freeDeliveryThreshold !== undefined && zone.freeDeliveryThreshold !== null &&
+      subtotal >= zone.freeDeliveryThreshold) {
+    return 0;
+  }
+  return zone.deliveryFee;
+};
+
+// Resolve the zone and delivery fee for an order, or throw a 400 explaining
+// why the order can't be delivered
+const resolveDelivery = async (address, subtotal, deliveryDate) => {
+  const zone = await findZone(address);
+
+  if (!zone) {
+    throw zoneError(`Sorry, we do not deliver to ${address?.zipCode ? `zip code ${address.zipCode}` : 'this address'} yet`);
+  }
+
+  if (deliveryDate && zone.availableDays.length > 0) {
+    const day = startOfDay(deliveryDate).getUTCDay();
+    if (!zone.availableDays.includes(day)) {
+      throw zoneError(`We do not deliver to ${zone.name} on ${DAY_NAMES[day]}`);
+    }
+  }
+
+  if (subtotal < zone.minimumOrderValue) {
+    throw zoneError(`Minimum order value for ${zone.name} is ${zone.minimumOrderValue}`);
+  }
+
+  return { zone, deliveryFee: calculateDeliveryFee(zone, subtotal) };
+};
+
+module.exports = {
+  findZone,
+  calculateDeliveryFee,
+  resolveDelivery
+};
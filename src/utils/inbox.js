@@ -0,0 +1,39 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+// Put an item in the inbox of one or more users. Like email and SMS, inbox
+// items are a side effect, so errors are logged and never thrown to the
+// caller. With a dedupeKey each user gets the item at most once.
+const addToInbox = async (users, { dedupeKey, ...item }) => {
+  try {
+    for (const user of [].concat(users)) {
+      const userId = user?._id || user;
+      try {
+        await Notification.create({
+          ...item,
+          user: userId,
+          dedupeKey: dedupeKey ? `${dedupeKey}:${userId}` : undefined
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+  } catch (error) {
+    console.error(`Inbox ${item.type} error:`, error);
+  }
+};
+
+// Same item for every active admin
+const notifyAdmins = async (item) => {
+  try {
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+    await addToInbox(admins, item);
+  } catch (error) {
+    console.error(`Inbox ${item.type} error:`, error);
+  }
+};
+
+module.exports = {
+  addToInbox,
+  notifyAdmins
+};
@@ -0,0 +1,238 @@
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const { roundAmount } = require('./wallet');
+
+const invoiceError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Paid orders, and cash orders once delivered, get an invoice
+const isInvoiceable = (order) => {
+  return order.isPaid || order.orderStatus === 'delivered';
+};
+
+const getSellerDetails = () => ({
+  name: process.env.SELLER_NAME || 'Dairy Drop',
+  address: process.env.SELLER_ADDRESS,
+  taxId: process.env.SELLER_TAX_ID,
+  email: process.env.SELLER_EMAIL,
+  phone: process.env.SELLER_PHONE
+});
+
+// A claim older than this belongs to a request that died before issuing
+const INVOICE_CLAIM_TIMEOUT_MS = 30 * 1000;
+
+// Return the order's invoice, issuing it with the next number in the
+// year's sequence (INV-2025-000001) the first time. The order is claimed
+// before a number is taken, so a request that loses the race never uses up
+// a number and the sequence has no gaps.
+const getOrIssueInvoice = async (order) => {
+  const existing = await Invoice.findOne({ order: order._id });
+  if (existing) return existing;
+
+  if (!isInvoiceable(order)) {
+    throw invoiceError('Invoices are available once the order is paid or delivered');
+  }
+
+  const issuedAt = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $or: [
+        { invoiceClaimedAt: null },
+        { invoiceClaimedAt: { $lt: new Date(issuedAt.getTime() - INVOICE_CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    { invoiceClaimedAt: issuedAt }
+  );
+
+  // Issued, or being issued, by a concurrent request
+  const issued = await Invoice.findOne({ order: order._id });
+  if (issued) return issued;
+  if (!claimed) {
+    throw invoiceError('The invoice is being issued, please try again shortly', 409);
+  }
+
+  const year = issuedAt.getUTCFullYear();
+  const seq = await Counter.next(`invoice-${year}`);
+
+  try {
+    return await Invoice.create({
+      invoiceNumber: `INV-${year}-${String(seq).padStart(6, '0')}`,
+      order: order._id,
+      user: order.user._id || order.user,
+      seller: getSellerDetails(),
+      issuedAt
+    });
+  } catch (error) {
+    // Only reachable when a stale claim was taken over from a slow request
+    if (error.code === 11000) {
+      const winner = await Invoice.findOne({ order: order._id });
+      if (winner) return winner;
+    }
+    throw error;
+  }
+};
+
+const formatMoney = (amount) => {
+  const currency = (process.env.STRIPE_CURRENCY || 'usd').toUpperCase();
+  return `${currency} ${roundAmount(amount || 0).toFixed(2)}`;
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+
+// Orders from before itemised pricing only have item prices and a total
+const getPricing = (order) => {
+  if (order.pricing && order.pricing.grandTotal !== undefined) return order.pricing;
+
+  const subtotal = roundAmount(order.items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  return {
+    subtotal,
+    discounts: [],
+    discountTotal: 0,
+    taxes: [],
+    taxTotal: 0,
+    deliveryFee: roundAmount(order.totalAmount - subtotal),
+    grandTotal: order.totalAmount
+  };
+};
+
+const ITEM_COLUMNS = [
+  { label: 'Item', x: 50, width: 170 },
+  { label: 'Qty', x: 220, width: 40, align: 'right' },
+  { label: 'Price', x: 260, width: 70, align: 'right' },
+  { label: 'Discount', x: 330, width: 65, align: 'right' },
+  { label: 'Tax', x: 395, width: 75, align: 'right' },
+  { label: 'Amount', x: 470, width: 75, align: 'right' }
+];
+
+const drawRow = (doc, values, { bold = false } = {}) => {
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  let height = 0;
+  ITEM_COLUMNS.forEach((column, index) => {
+    const text = String(values[index] ?? '');
+    doc.text(text, column.x, y, { width: column.width, align: column.align || 'left' });
+    height = Math.max(height, doc.heightOfString(text, { width: column.width }));
+  });
+  doc.y = y + height + 6;
+  if (doc.y > doc.page.height - 120) {
+    doc.addPage();
+  }
+};
+
+const drawTotal = (doc, label, value, { bold = false } = {}) => {
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  doc.text(label, 300, y, { width: 160, align: 'right' });
+  doc.text(value, 470, y, { width: 75, align: 'right' });
+  doc.y = y + 16;
+};
+
+// Render an invoice to a PDF buffer. order.user must be populated.
+const renderInvoicePdf = (invoice, order) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const seller = invoice.seller || {};
+    const customer = order.user || {};
+    const address = order.deliveryAddress || {};
+    const pricing = getPricing(order);
+
+    // Seller and invoice details
+    doc.font('Helvetica-Bold').fontSize(18).text(seller.name || 'Dairy Drop', 50, 50);
+    doc.font('Helvetica').fontSize(9);
+    [seller.address, seller.email, seller.phone, seller.taxId && `Tax ID: ${seller.taxId}`]
+      .filter(Boolean)
+      .forEach(line => doc.text(line));
+
+    doc.font('Helvetica-Bold').fontSize(14).text('TAX INVOICE', 350, 50, { width: 195, align: 'right' });
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Invoice no: ${invoice.invoiceNumber}`, 350, 72, { width: 195, align: 'right' });
+    doc.text(`Invoice date: ${formatDate(invoice.issuedAt)}`, { width: 195, align: 'right' });
+    doc.text(`Order no: ${order.orderNumber}`, { width: 195, align: 'right' });
+    doc.text(`Order date: ${formatDate(order.createdAt)}`, { width: 195, align: 'right' });
+
+    // Customer
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill to', 50, 150);
+    doc.font('Helvetica').fontSize(9);
+    [
+      customer.name,
+      customer.email,
+      order.contactNumber || customer.phone,
+      address.street,
+      [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+      address.country
+    ].filter(Boolean).forEach(line => doc.text(line));
+
+    // Items
+    doc.moveDown(1.5);
+    drawRow(doc, ITEM_COLUMNS.map(column => column.label), { bold: true });
+    order.items.forEach(item => {
+      const taxable = item.taxableAmount ?? roundAmount(item.price * item.quantity - (item.discount || 0));
+      const tax = item.taxAmount
+        ? `${formatMoney(item.taxAmount)}\n(${item.taxName || `${item.taxRate}%`})`
+        : '-';
+      const name = item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name;
+      drawRow(doc, [
+        item.markdown?.percent ? `${name}\n${item.markdown.percent}% markdown` : name,
+        item.quantity,
+        formatMoney(item.price),
+        item.discount ? formatMoney(item.discount) : '-',
+        tax,
+        formatMoney(taxable + (item.taxAmount || 0))
+      ]);
+    });
+
+    // Totals
+    doc.moveDown();
+    drawTotal(doc, 'Subtotal', formatMoney(pricing.subtotal));
+    (pricing.discounts || []).forEach(line => {
+      drawTotal(doc, `Discount${line.code ? ` (${line.code})` : ''}`, `-${formatMoney(line.amount)}`);
+    });
+    (pricing.taxes || []).forEach(tax => {
+      drawTotal(doc, `${tax.name || `Tax @ ${tax.rate}%`} on ${formatMoney(tax.taxableAmount)}`, formatMoney(tax.amount));
+    });
+    drawTotal(doc, 'Delivery fee', formatMoney(pricing.deliveryFee));
+    (pricing.deposits || []).forEach(line => {
+      drawTotal(doc, `Bottle deposit: ${line.name} x ${line.quantity}`, formatMoney(line.total));
+    });
+    if (pricing.depositCredit > 0) {
+      drawTotal(doc, 'Returned bottle credit', `-${formatMoney(pricing.depositCredit)}`);
+    }
+    drawTotal(doc, 'Total', formatMoney(pricing.grandTotal), { bold: true });
+    if (order.refundedAmount > 0) {
+      drawTotal(doc, 'Refunded', `-${formatMoney(order.refundedAmount)}`);
+    }
+
+    // Payment
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(10).text('Payment', 50);
+    doc.font('Helvetica').fontSize(9);
+    const card = order.paymentDetails?.last4
+      ? ` (${order.paymentDetails.brand || 'card'} ending ${order.paymentDetails.last4})`
+      : '';
+    [
+      `Method: ${order.paymentMethod}${card}`,
+      `Status: ${order.paymentStatus}`,
+      order.paidAt && `Paid on: ${formatDate(order.paidAt)}`,
+      order.paymentIntentId && `Reference: ${order.paymentIntentId}`
+    ].filter(Boolean).forEach(line => doc.text(line));
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  isInvoiceable,
+  getOrIssueInvoice,
+  renderInvoicePdf
+};
@@ -0,0 +1,156 @@
+const Batch = require('../models/Batch');
+const Product = require('../models/Product');
+const MarkdownRule = require('../models/MarkdownRule');
+const { roundAmount } = require('./wallet');
+const { addDays, daysBetween } = require('./dates');
+
+const markdownKey = (productId, variantId) => `${productId}:${variantId}`;
+
+const getActiveRules = () => MarkdownRule.find({ isActive: true }).sort({ discountPercent: -1 });
+
+// Rules are sorted by discount, so the first match is the largest
+const matchRule = (rules, product, daysLeft) => {
+  return rules.find(rule => daysLeft <= rule.daysRemaining &&
+    (rule.categories.length === 0 || rule.categories.includes(product.category)));
+};
+
+const describeExpiry = (daysLeft) => {
+  if (daysLeft <= 0) return 'Near expiry: expires today';
+  return `Near expiry: ${daysLeft} day${daysLeft === 1 ? '' : 's'} left`;
+};
+
+// A batch must be sold by the earlier of its expiry date and the end of the
+// product's shelf life counted from the day the batch was received
+const getSellByDate = (batch, product) => {
+  const shelfLifeEnd = addDays(batch.createdAt, product.shelfLife);
+  return shelfLifeEnd < batch.expiryDate ? shelfLifeEnd : batch.expiryDate;
+};
+
+// The markdown rule a batch falls under today, if any
+const batchRule = (rules, product, batch, now = new Date()) => {
+  return matchRule(rules, product, daysBetween(now, getSellByDate(batch, product)));
+};
+
+// Priced stock of each product variant, keyed by markdownKey, in the order
+// orders take it: first-expired-first-out. Each tier is a run of batches
+// under the same rule; runs that aren't marked down (rule null) are only
+// listed when marked-down stock comes after them, so pricing units in tier
+// order matches the batches they are allocated from.
+const getMarkdownTiers = async (products, rules) => {
+  const tiers = new Map();
+  const activeRules = rules || await getActiveRules();
+  if (activeRules.length === 0 || products.length === 0) return tiers;
+
+  const now = new Date();
+  const batches = await Batch.find({
+    product: { $in: products.map(product => product._id) },
+    quantity: { $gt: 0 },
+    expiryDate: { $gt: now }
+  }).sort({ expiryDate: 1, createdAt: 1 });
+
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  batches.forEach(batch => {
+    const product = productsById.get(batch.product.toString());
+    const variant = product.getVariant(batch.variant);
+    if (!variant) return;
+
+    const rule = batchRule(activeRules, product, batch, now);
+    const key = markdownKey(product._id, variant._id);
+    const variantTiers = tiers.get(key) || [];
+    const last = variantTiers[variantTiers.length - 1];
+
+    if (last && (last.rule ? rule && last.rule.equals(rule._id) : !rule)) {
+      last.quantity += batch.quantity;
+    } else if (rule) {
+      variantTiers.push({
+        rule: rule._id,
+        percent: rule.discountPercent,
+        reason: describeExpiry(daysBetween(now, getSellByDate(batch, product))),
+        price: roundAmount(variant.price * (100 - rule.discountPercent) / 100),
+        originalPrice: variant.price,
+        quantity: batch.quantity,
+        expiresAt: getSellByDate(batch, product)
+      });
+    } else {
+      variantTiers.push({ rule: null, percent: 0, price: variant.price, quantity: batch.quantity });
+    }
+    tiers.set(key, variantTiers);
+  });
+
+  // Full-price stock after the last markdown is priced by the caller
+  for (const [key, variantTiers] of tiers) {
+    while (variantTiers.length > 0 && !variantTiers[variantTiers.length - 1].rule) {
+      variantTiers.pop();
+    }
+    if (variantTiers.length === 0) tiers.delete(key);
+  }
+
+  return tiers;
+};
+
+// Stock can change between pricing and allocation. Once stock has been taken,
+// check every marked-down order item came out of batches that still earn at
+// least its discount. Returns the first item that didn't, or null.
+const findUnbackedMarkdown = async (items) => {
+  const marked = items.filter(item => item.markdown);
+  if (marked.length === 0) return null;
+
+  const rules = await getActiveRules();
+  const batchIds = marked.flatMap(item => (item.batches || []).map(allocation => allocation.batch));
+  const [batches, products] = await Promise.all([
+    Batch.find({ _id: { $in: batchIds } }),
+    Product.find({ _id: { $in: marked.map(item => item.product) } })
+  ]);
+  const batchesById = new Map(batches.map(batch => [batch._id.toString(), batch]));
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  return marked.find(item => {
+    const product = productsById.get(item.product.toString());
+    const allocations = item.batches || [];
+    const allocated = allocations.reduce((sum, allocation) => sum + allocation.quantity, 0);
+    if (!product || allocated < item.quantity) return true;
+
+    return allocations.some(allocation => {
+      const batch = batchesById.get(allocation.batch.toString());
+      const rule = batch && batchRule(rules, product, batch);
+      return !rule || rule.discountPercent < item.markdown.percent;
+    });
+  }) || null;
+};
+
+// Products as JSON with the markdown the next buyer would get on each
+// variant, and the deepest one on the product itself
+const withMarkdowns = async (products) => {
+  const tiers = await getMarkdownTiers(products);
+
+  return products.map(product => {
+    const data = product.toJSON();
+    data.markdown = null;
+
+    data.variants.forEach(variant => {
+      const current = (tiers.get(markdownKey(product._id, variant._id)) || [])[0];
+      variant.markdown = current && current.rule ? {
+        price: current.price,
+        originalPrice: current.originalPrice,
+        percent: current.percent,
+        reason: current.reason,
+        quantity: current.quantity,
+        expiresAt: current.expiresAt
+      } : null;
+
+      if (variant.markdown && (!data.markdown || variant.markdown.percent > data.markdown.percent)) {
+        data.markdown = { ...variant.markdown, variant: variant._id };
+      }
+    });
+
+    return data;
+  });
+};
+
+module.exports = {
+  markdownKey,
+  getMarkdownTiers,
+  findUnbackedMarkdown,
+  withMarkdowns
+};
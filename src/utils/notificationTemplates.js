@@ -0,0 +1,94 @@
+const { roundAmount } = require('./wallet');
+const { toDateKey } = require('./dates');
+
+const formatMoney = (amount) => {
+  const currency = (process.env.STRIPE_CURRENCY || 'usd').toUpperCase();
+  return `${currency} ${roundAmount(amount || 0).toFixed(2)}`;
+};
+
+const formatDate = (date) => {
+  return date ? toDateKey(date) : '';
+};
+
+const STATUS_LABELS = {
+  pending: 'pending',
+  confirmed: 'confirmed',
+  packed: 'packed',
+  'out-for-delivery': 'out for delivery',
+  delivered: 'delivered',
+  cancelled: 'cancelled'
+};
+
+const signOff = () => `\n\nThank you for shopping with ${process.env.SELLER_NAME || 'Dairy Drop'}.`;
+
+// Each event renders to an email (subject and text) and a short SMS. Render
+// functions get the recipient, the order and any event data.
+const TEMPLATES = {
+  order_placed: ({ user, order }) => ({
+    subject: `Order ${order.orderNumber} received`,
+    text: `Hi ${user.name},\n\nWe have received your order ${order.orderNumber} for ${formatMoney(order.totalAmount)}. ` +
+      `It is scheduled for delivery on ${formatDate(order.deliveryDate)}` +
+      `${order.deliverySlot?.name ? ` (${order.deliverySlot.name})` : ''}.` + signOff(),
+    sms: `Order ${order.orderNumber} received: ${formatMoney(order.totalAmount)}, delivery on ${formatDate(order.deliveryDate)}.`
+  }),
+
+  payment_succeeded: ({ user, order }) => ({
+    subject: `Payment received for order ${order.orderNumber}`,
+    text: `Hi ${user.name},\n\nYour payment of ${formatMoney(order.totalAmount)} for order ${order.orderNumber} was successful.` + signOff(),
+    sms: `Payment of ${formatMoney(order.totalAmount)} received for order ${order.orderNumber}.`
+  }),
+
+  payment_failed: ({ user, order }) => ({
+    subject: `Payment failed for order ${order.orderNumber}`,
+    text: `Hi ${user.name},\n\nWe could not take payment for order ${order.orderNumber}. ` +
+      'The order has not been confirmed; please try again with another card.' + signOff(),
+    sms: `Payment for order ${order.orderNumber} failed. Please try again with another card.`
+  }),
+
+  order_status_changed: ({ user, order }) => {
+    const status = STATUS_LABELS[order.orderStatus] || order.orderStatus;
+    return {
+      subject: `Order ${order.orderNumber} is ${status}`,
+      text: `Hi ${user.name},\n\nYour order ${order.orderNumber} is now ${status}.` + signOff(),
+      sms: `Order ${order.orderNumber} is now ${status}.`
+    };
+  },
+
+  order_delivered: ({ user, order }) => ({
+    subject: `Order ${order.orderNumber} delivered`,
+    text: `Hi ${user.name},\n\nYour order ${order.orderNumber} has been delivered. We hope you enjoy it!` + signOff(),
+    sms: `Order ${order.orderNumber} has been delivered.`
+  }),
+
+  order_cancelled: ({ user, order }) => ({
+    subject: `Order ${order.orderNumber} cancelled`,
+    text: `Hi ${user.name},\n\nYour order ${order.orderNumber} has been cancelled` +
+      `${order.cancellationReason ? `: ${order.cancellationReason}` : ''}. ` +
+      'Any payment taken will be refunded.' + signOff(),
+    sms: `Order ${order.orderNumber} has been cancelled.`
+  }),
+
+  refund_issued: ({ user, order, data }) => ({
+    subject: `Refund for order ${order.orderNumber}`,
+    text: `Hi ${user.name},\n\nWe have refunded ${formatMoney(data.amount)} for order ${order.orderNumber} ` +
+      `to your ${data.method === 'wallet' ? 'wallet' : 'card'}.` +
+      `${data.method === 'card' ? ' Card refunds can take 5-10 days to appear on your statement.' : ''}` + signOff(),
+    sms: `${formatMoney(data.amount)} refunded for order ${order.orderNumber} to your ${data.method === 'wallet' ? 'wallet' : 'card'}.`
+  })
+};
+
+const NOTIFICATION_EVENTS = Object.keys(TEMPLATES);
+
+const renderNotification = (event, context) => {
+  const template = TEMPLATES[event];
+  if (!template) {
+    throw new Error(`Unknown notification event: ${event}`);
+  }
+  return template({ data: {}, ...context });
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  formatMoney,
+  renderNotification
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+// Transports deliver one rendered message: { to, subject, body }. Email uses
+// EMAIL_TRANSPORT and SMS uses SMS_TRANSPORT; both default to the console so
+// local development needs no mail server or gateway. A transport throws when
+// the message could not be handed over, and the outbox retries it.
+
+const FILE_DIR = () => process.env.NOTIFICATION_FILE_DIR || path.join(__dirname, '../../uploads/notifications');
+
+const consoleTransport = (channel) => ({
+  send: async (message) => {
+    console.log(`[${channel}] to ${message.to}${message.subject ? ` | ${message.subject}` : ''}\n${message.body}`);
+  }
+});
+
+// One file per message, for inspecting what would have been sent
+const fileTransport = (channel) => ({
+  send: async (message) => {
+    const dir = FILE_DIR();
+    await fs.promises.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${channel}-${Math.round(Math.random() * 1E9)}.json`;
+    await fs.promises.writeFile(path.join(dir, name), JSON.stringify({ channel, ...message }, null, 2));
+  }
+});
+
+// SMTP_HOST/SMTP_PORT point at the mail server; a local stand-in such as
+// MailHog or smtp4dev on localhost:1025 works without credentials
+const smtpTransport = () => {
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    send: async (message) => {
+      await transporter.sendMail({
+        from: process.env.MAIL_FROM || process.env.SELLER_EMAIL || 'no-reply@dairydrop.local',
+        to: message.to,
+        subject: message.subject,
+        text: message.body
+      });
+    }
+  };
+};
+
+// Posts { to, message } as JSON to SMS_GATEWAY_URL, with SMS_GATEWAY_TOKEN as
+// a bearer token when set. Any non-2xx response counts as a failed send.
+const httpSmsTransport = () => {
+  if (!process.env.SMS_GATEWAY_URL) {
+    throw new Error('SMS_GATEWAY_URL is required for the http SMS transport');
+  }
+
+  return {
+    send: async (message) => {
+      await axios.post(process.env.SMS_GATEWAY_URL, { to: message.to, message: message.body }, {
+        timeout: 10000,
+        headers: process.env.SMS_GATEWAY_TOKEN
+          ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` }
+          : undefined
+      });
+    }
+  };
+};
+
+const FACTORIES = {
+  email: { console: consoleTransport, file: fileTransport, smtp: smtpTransport },
+  sms: { console: consoleTransport, file: fileTransport, http: httpSmsTransport }
+};
+
+const transports = {};
+
+// Transports are created on first use and kept, so SMTP connections are reused
+const getTransport = (channel) => {
+  if (!transports[channel]) {
+    const setting = channel === 'email' ? process.env.EMAIL_TRANSPORT : process.env.SMS_TRANSPORT;
+    const factory = FACTORIES[channel][setting || 'console'];
+    if (!factory) {
+      throw new Error(`Unknown ${channel} transport: ${setting}`);
+    }
+    transports[channel] = factory(channel);
+  }
+  return transports[channel];
+};
+
+// Replace a channel's transport, e.g. with a stub while testing
+const setTransport = (channel, transport) => {
+  transports[channel] = transport;
+};
+
+module.exports = {
+  getTransport,
+  setTransport
+};
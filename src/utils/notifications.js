@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const OutboxMessage = require('../models/OutboxMessage');
+const User = require('../models/User');
+const { renderNotification } = require('./notificationTemplates');
+const { getTransport } = require('./notificationTransports');
+const { addToInbox } = require('./inbox');
+
+// A send still 'sending' after this long is assumed to have crashed
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+const getMaxAttempts = () => parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+
+// Delay before retry n doubles each time: 1, 2, 4, 8... minutes by default
+const getRetryDelay = (attempts) => {
+  const baseMs = parseInt(process.env.NOTIFICATION_RETRY_DELAY_MS) || 60 * 1000;
+  return baseMs * Math.pow(2, attempts - 1);
+};
+
+// Channels the user wants this event on. Preferences missing on older
+// accounts count as opted in.
+const getChannels = (user, event) => {
+  const preferences = user.notificationPreferences || {};
+  if ((preferences.muted || []).includes(event)) return [];
+
+  const channels = [];
+  if (preferences.email !== false && user.email) channels.push('email');
+  if (preferences.sms !== false && user.phone) channels.push('sms');
+  return channels;
+};
+
+// Put the messages for an event in the user's inbox and the outbox, and start
+// delivering them. Notifications are a side effect of whatever triggered
+// them, so errors are logged and never thrown to the caller. dedupeKey makes
+// repeated calls for the same occurrence (a replayed webhook, say) queue the
+// messages once.
+const notify = async (event, { user, order, data, dedupeKey } = {}) => {
+  try {
+    const userId = user?._id || user;
+    const recipient = mongoose.isValidObjectId(userId)
+      ? await User.findById(userId).select('name email phone notificationPreferences isActive')
+      : null;
+    if (!recipient || !recipient.isActive) return;
+
+    const message = renderNotification(event, { user: recipient, order, data });
+
+    // The in-app inbox keeps every event, whatever the channel preferences
+    await addToInbox(recipient, {
+      type: event,
+      title: message.subject,
+      message: message.sms,
+      order: order?._id,
+      dedupeKey
+    });
+
+    const channels = getChannels(recipient, event);
+    if (channels.length === 0) return;
+
+    let queued = 0;
+
+    for (const channel of channels) {
+      try {
+        await OutboxMessage.create({
+          user: recipient._id,
+          order: order?._id,
+          event,
+          channel,
+          to: channel === 'email' ? recipient.email : recipient.phone,
+          subject: channel === 'email' ? message.subject : undefined,
+          body: channel === 'email' ? message.text : message.sms,
+          dedupeKey: dedupeKey ? `${dedupeKey}:${channel}` : undefined
+        });
+        queued += 1;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    if (queued > 0) {
+      processOutbox().catch(error => console.error('Notification delivery error:', error));
+    }
+  } catch (error) {
+    console.error(`Notify ${event} error:`, error);
+  }
+};
+
+// Send one claimed message and record the outcome
+const deliver = async (outboxMessage) => {
+  try {
+    await getTransport(outboxMessage.channel).send({
+      to: outboxMessage.to,
+      subject: outboxMessage.subject,
+      body: outboxMessage.body
+    });
+
+    await OutboxMessage.updateOne(
+      { _id: outboxMessage._id },
+      { $set: { status: 'sent', sentAt: new Date() }, $unset: { lockedAt: 1, lastError: 1 } }
+    );
+    return true;
+  } catch (error) {
+    const giveUp = outboxMessage.attempts >= getMaxAttempts();
+    await OutboxMessage.updateOne(
+      { _id: outboxMessage._id },
+      {
+        $set: {
+          status: giveUp ? 'failed' : 'pending',
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + getRetryDelay(outboxMessage.attempts))
+        },
+        $unset: { lockedAt: 1 }
+      }
+    );
+    return false;
+  }
+};
+
+// Deliver everything due in the outbox. Each message is claimed with a
+// conditional update, so two dispatchers never send the same one. Resolves to
+// the number sent and failed in this pass.
+const processOutbox = async ({ limit = 100 } = {}) => {
+  await OutboxMessage.updateMany(
+    { status: 'sending', lockedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+    { $set: { status: 'pending' }, $unset: { lockedAt: 1 } }
+  );
+
+  const result = { sent: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+    const outboxMessage = await OutboxMessage.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!outboxMessage) break;
+
+    if (await deliver(outboxMessage)) {
+      result.sent += 1;
+    } else {
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  notify,
+  processOutbox
+};
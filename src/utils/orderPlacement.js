@@ -0,0 +1,366 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const StockHold = require('../models/StockHold');
+const Subscription = require('../models/Subscription');
+const { decrementStock, restoreStock } = require('./stock');
+const { debitWallet, creditWallet } = require('./wallet');
+const { reserveSlot, releaseSlot } = require('./deliverySlots');
+const { resolveDelivery } = require('./deliveryZones');
+const { evaluateCoupon, redeemCoupon, releaseCoupon, releaseOrderCoupons } = require('./coupons');
+const { allocateDiscount, applyTax, buildPricing } = require('./pricing');
+const { getMarkdownTiers, markdownKey, findUnbackedMarkdown } = require('./markdowns');
+const { claimDepositCredit, restoreDepositCredit, issueBottles } = require('./bottles');
+const { startOfDay, toDateKey } = require('./dates');
+const { notify } = require('./notifications');
+const { notifyAdmins } = require('./inbox');
+const { formatMoney } = require('./notificationTemplates');
+const { publishOrderUpdate, publishNewOrder } = require('./realtime');
+
+const orderError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Look up and price the requested items. Units of near-expiry stock that
+// is marked down go on their own lines at the markdown price. Lines follow
+// the first-expired-first-out order stock is allocated in, so each line
+// takes the batches it was priced from; placeOrder checks this once the
+// stock is taken.
+const priceItems = async (items) => {
+  const requested = [];
+
+  for (const item of items) {
+    const quantity = parseInt(item.quantity);
+    if (!quantity || quantity < 1) {
+      throw orderError('Quantity must be at least 1');
+    }
+
+    const product = await Product.findById(item.product);
+
+    if (!product) {
+      throw orderError(`Product not found: ${item.product}`, 404);
+    }
+
+    if (!product.isAvailable) {
+      throw orderError(`Product is not available: ${product.name}`);
+    }
+
+    // No variant given means the product's default pack
+    const variant = product.getVariant(item.variant);
+    if (!variant || !variant.isActive) {
+      throw orderError(`Variant is not available for: ${product.name}`);
+    }
+
+    const name = product.variants.length > 1 ? `${product.name} (${variant.label})` : product.name;
+    if (variant.quantity < quantity) {
+      throw orderError(`Insufficient quantity for: ${name}. Available: ${variant.quantity}`);
+    }
+
+    requested.push({ product, variant, quantity });
+  }
+
+  const products = requested.map(({ product }) => product);
+  const markdowns = await getMarkdownTiers(products);
+
+  let subtotal = 0;
+  const orderItems = [];
+
+  requested.forEach(({ product, variant, quantity }) => {
+    const line = (price, lineQuantity, markdown) => {
+      subtotal += price * lineQuantity;
+      orderItems.push({
+        product: product._id,
+        variant: variant._id,
+        sku: variant.sku,
+        variantLabel: variant.label,
+        name: product.name,
+        price,
+        deposit: variant.deposit || 0,
+        originalPrice: markdown ? variant.price : undefined,
+        markdown,
+        quantity: lineQuantity,
+        image: product.images[0]?.url || ''
+      });
+    };
+
+    let remaining = quantity;
+    for (const tier of markdowns.get(markdownKey(product._id, variant._id)) || []) {
+      if (remaining === 0) break;
+
+      // Units already counted on an earlier line of this order
+      const available = tier.quantity - (tier.taken || 0);
+      const take = Math.min(remaining, available);
+      if (take <= 0) continue;
+
+      tier.taken = (tier.taken || 0) + take;
+      line(tier.price, take, tier.rule ? { rule: tier.rule, percent: tier.percent, reason: tier.reason } : undefined);
+      remaining -= take;
+    }
+
+    if (remaining > 0) {
+      line(variant.price, remaining);
+    }
+  });
+
+  return { orderItems, subtotal, products };
+};
+
+// Price the items and work out coupon discounts and tax per line. Delivery
+// is added by the caller once the zone is known.
+const priceOrder = async ({ user, items, couponCode }) => {
+  const { orderItems, subtotal, products } = await priceItems(items);
+
+  const discounts = [];
+  let coupon = null;
+  let couponResult = null;
+  if (couponCode) {
+    couponResult = await evaluateCoupon(couponCode, { user, orderItems, subtotal });
+    coupon = couponResult.coupon;
+    discounts.push({
+      source: 'coupon',
+      coupon: coupon._id,
+      code: coupon.code,
+      description: coupon.description,
+      amount: couponResult.discount
+    });
+    allocateDiscount(orderItems, couponResult.discount, (item) => {
+      return couponResult.eligibleProducts.has(item.product.toString());
+    });
+  }
+
+  await applyTax(orderItems, products);
+
+  return { orderItems, subtotal, discounts, coupon, couponResult };
+};
+
+// Place an order: price the items with coupon and tax, check the delivery
+// zone, then apply deposit credit, redeem the coupon, reserve the slot, take
+// stock (held for a limited time on card orders) and charge the wallet before
+// creating the order document.
+//
+// Every side effect registers an undo step. If a later step fails (stock ran
+// out, wallet short, the order insert failed) the completed steps are undone
+// in reverse order, so a failed placement never leaves stock, slot capacity,
+// coupon usage, deposit credit or wallet balance changed. Errors with a statusCode are meant
+// for the client.
+const placeOrder = async ({
+  user,
+  items,
+  deliveryAddress,
+  contactNumber,
+  deliveryDate,
+  deliverySlot,
+  paymentMethod = 'cod',
+  couponCode,
+  subscription,
+  enforceCutoff = true
+}) => {
+  const { orderItems, subtotal, discounts, coupon } = await priceOrder({ user, items, couponCode });
+
+  const deliveryDay = startOfDay(deliveryDate);
+  const { zone, deliveryFee } = await resolveDelivery(deliveryAddress, subtotal, deliveryDay);
+  let pricing = buildPricing(orderItems, discounts, deliveryFee);
+  let totalAmount = pricing.grandTotal;
+
+  // The order id is fixed up front so ledger entries can reference it
+  const orderId = new mongoose.Types.ObjectId();
+  const isPrepaid = paymentMethod === 'wallet';
+  const initialStatus = isPrepaid ? 'confirmed' : 'pending';
+  const undo = [];
+
+  try {
+    // Deposit returned on earlier deliveries comes off this order
+    const depositCredit = await claimDepositCredit(user, totalAmount, paymentMethod);
+    if (depositCredit > 0) {
+      undo.push(() => restoreDepositCredit(user, depositCredit));
+      pricing = buildPricing(orderItems, discounts, deliveryFee, depositCredit);
+      totalAmount = pricing.grandTotal;
+    }
+
+    if (coupon) {
+      await redeemCoupon(coupon, user);
+      undo.push(() => releaseCoupon(coupon._id, user));
+    }
+
+    let slot = null;
+    if (deliverySlot) {
+      slot = await reserveSlot(deliverySlot, deliveryDay, deliveryAddress.zipCode, { enforceCutoff });
+      undo.push(() => releaseSlot(slot._id, deliveryDay));
+    }
+
+    await decrementStock(orderItems);
+    undo.push(() => restoreStock(orderItems));
+
+    // Another order may have bought the marked-down batches since pricing
+    const unbacked = await findUnbackedMarkdown(orderItems);
+    if (unbacked) {
+      throw orderError(`The marked-down stock of ${unbacked.name} has just sold out; please review your order`, 409);
+    }
+
+    // Unpaid card orders only keep their stock for the hold window
+    if (paymentMethod === 'card') {
+      const hold = await StockHold.create({
+        order: orderId,
+        user,
+        items: orderItems.map(item => ({ product: item.product, variant: item.variant, quantity: item.quantity })),
+        expiresAt: StockHold.getHoldExpiry()
+      });
+      undo.push(() => StockHold.deleteOne({ _id: hold._id }));
+    }
+
+    if (isPrepaid) {
+      await debitWallet(user, totalAmount, {
+        source: 'order',
+        order: orderId,
+        reason: subscription ? 'Subscription delivery' : 'Order payment'
+      });
+      undo.push(() => creditWallet(user, totalAmount, {
+        source: 'refund',
+        order: orderId,
+        reason: 'Order could not be placed'
+      }));
+    }
+
+    const order = await Order.create({
+      _id: orderId,
+      user,
+      subscription,
+      items: orderItems,
+      deliveryAddress,
+      contactNumber,
+      pricing,
+      totalAmount,
+      deliveryZone: {
+        zone: zone._id,
+        name: zone.name
+      },
+      paymentMethod,
+      deliveryDate: deliveryDay,
+      deliverySlot: slot ? {
+        slot: slot._id,
+        name: slot.name,
+        startTime: slot.startTime,
+        endTime: slot.endTime
+      } : undefined,
+      stockDeducted: true,
+      paymentStatus: isPrepaid ? 'paid' : 'pending',
+      isPaid: isPrepaid,
+      paidAt: isPrepaid ? new Date() : undefined,
+      orderStatus: initialStatus,
+      statusHistory: [Order.historyEntry(null, initialStatus, {
+        by: subscription ? undefined : user,
+        note: subscription ? 'Placed from subscription' : 'Order placed'
+      })]
+    });
+
+    await notify('order_placed', { user, order, dedupeKey: `order_placed:${order._id}` });
+    await notifyAdmins({
+      type: 'new_order',
+      title: `New order ${order.orderNumber}`,
+      message: `${formatMoney(order.totalAmount)} by ${paymentMethod}, for delivery on ${toDateKey(deliveryDay)}`,
+      order: order._id,
+      dedupeKey: `new_order:${order._id}`
+    });
+    publishNewOrder(order);
+    return order;
+  } catch (error) {
+    for (const step of undo.reverse()) {
+      try {
+        await step();
+      } catch (undoError) {
+        console.error(`Rollback error for order ${orderId}:`, undoError);
+      }
+    }
+    throw error;
+  }
+};
+
+// Orders placed before stockDeducted was recorded took stock unless paid by card
+const hasDeductedStock = (order) => {
+  return order.stockDeducted ?? order.paymentMethod !== 'card';
+};
+
+// Cancel an order and undo its stock, slot and coupon side effects. The
+// status flip is a conditional update on the status we read, so two
+// concurrent cancellations cannot both restore stock. Returns the updated
+// order, or null if the order can't be cancelled from its current status (or
+// fromStatuses). A cancelled subscription order marks its day skipped, so the
+// scheduler doesn't generate it again unless the customer undoes the skip.
+const releaseCancelledOrder = async (order, update = {}, { fromStatuses, by, note } = {}) => {
+  const from = order.orderStatus;
+  if (!Order.canTransition(from, 'cancelled') || (fromStatuses && !fromStatuses.includes(from))) {
+    return null;
+  }
+
+  const cancelled = await Order.findOneAndUpdate(
+    { _id: order._id, orderStatus: from },
+    {
+      $set: { ...update, orderStatus: 'cancelled', stockDeducted: false },
+      $push: { statusHistory: Order.historyEntry(from, 'cancelled', { by, note: note || update.cancellationReason }) }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!cancelled) return null;
+
+  if (hasDeductedStock(order)) {
+    await restoreStock(order.items);
+  }
+  await StockHold.updateMany(
+    { order: order._id, status: 'active' },
+    { status: 'released', releaseReason: 'Order cancelled', resolvedAt: new Date() }
+  );
+  await releaseSlot(order.deliverySlot?.slot, order.deliveryDate);
+  await releaseOrderCoupons(order);
+  await restoreDepositCredit(order.user, order.pricing?.depositCredit);
+  if (order.subscription) {
+    await Subscription.updateOne(
+      { _id: order.subscription },
+      { $addToSet: { skippedDates: startOfDay(order.deliveryDate) } }
+    );
+  }
+  await notify('order_cancelled', { user: order.user, order: cancelled });
+  publishOrderUpdate(cancelled);
+
+  return cancelled;
+};
+
+// Move an order along its status flow (not to cancelled; see
+// releaseCancelledOrder). Conditional on the status we read, so concurrent
+// updates can't skip a step. Delivered orders add their bottles to the
+// customer's count, and the customer is told about the change. Returns the
+// updated order, or null if the status changed in the meantime.
+const changeOrderStatus = async (order, to, { by, note, update = {}, push = {} } = {}) => {
+  const from = order.orderStatus;
+  const set = { ...update, orderStatus: to };
+  if (to === 'delivered') set.deliveredAt = new Date();
+
+  const changed = await Order.findOneAndUpdate(
+    { _id: order._id, orderStatus: from },
+    {
+      $set: set,
+      $push: { ...push, statusHistory: Order.historyEntry(from, to, { by, note }) }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (changed && to === 'delivered') {
+    await issueBottles(changed);
+  }
+  if (changed) {
+    await notify(to === 'delivered' ? 'order_delivered' : 'order_status_changed', { user: changed.user, order: changed });
+    publishOrderUpdate(changed);
+  }
+
+  return changed;
+};
+
+module.exports = {
+  priceItems,
+  priceOrder,
+  placeOrder,
+  changeOrderStatus,
+  releaseCancelledOrder
+};
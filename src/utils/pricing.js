@@ -0,0 +1,113 @@
+const TaxRate = require('../models/TaxRate');
+const { roundAmount } = require('./wallet');
+
+const lineValue = (item) => roundAmount(item.price * item.quantity);
+
+// Spread an order-level discount over the eligible lines in proportion to
+// their value. The last line takes the rounding remainder so the line
+// discounts always add up to the discount.
+const allocateDiscount = (orderItems, amount, isEligible = () => true) => {
+  const eligible = orderItems.filter(isEligible);
+  const eligibleTotal = eligible.reduce((sum, item) => sum + lineValue(item), 0);
+  if (!(amount > 0) || eligibleTotal <= 0) return;
+
+  let remaining = roundAmount(amount);
+  eligible.forEach((item, index) => {
+    const share = index === eligible.length - 1
+      ? remaining
+      : roundAmount(amount * lineValue(item) / eligibleTotal);
+    const applied = Math.min(share, roundAmount(lineValue(item) - (item.discount || 0)));
+    item.discount = roundAmount((item.discount || 0) + applied);
+    remaining = roundAmount(remaining - applied);
+  });
+};
+
+// Work out which tax rate applies to each product
+const getTaxRates = async (products) => {
+  const rates = await TaxRate.find({ isActive: true });
+  const byId = new Map(rates.map(rate => [rate._id.toString(), rate]));
+  const fallback = rates.find(rate => rate.isDefault);
+
+  const result = new Map();
+  products.forEach(product => {
+    const rate = (product.taxRate && byId.get(product.taxRate.toString()))
+      || rates.find(candidate => candidate.categories.includes(product.category))
+      || fallback;
+    result.set(product._id.toString(), rate || null);
+  });
+  return result;
+};
+
+// Tax each line on its value after discount
+const applyTax = async (orderItems, products) => {
+  const rates = await getTaxRates(products);
+
+  orderItems.forEach(item => {
+    const rate = rates.get(item.product.toString());
+    item.taxableAmount = roundAmount(lineValue(item) - (item.discount || 0));
+    item.taxName = rate ? rate.name : undefined;
+    item.taxRate = rate ? rate.rate : 0;
+    item.taxAmount = roundAmount(item.taxableAmount * item.taxRate / 100);
+  });
+};
+
+// One deposit line per product variant with returnable bottles
+const buildDeposits = (orderItems) => {
+  const lines = new Map();
+  orderItems.forEach(item => {
+    if (!(item.deposit > 0)) return;
+    const key = `${item.product}:${item.variant}`;
+    const line = lines.get(key) || {
+      product: item.product,
+      variant: item.variant,
+      name: item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name,
+      quantity: 0,
+      amount: item.deposit,
+      total: 0
+    };
+    line.quantity += item.quantity;
+    line.total = roundAmount(line.total + item.deposit * item.quantity);
+    lines.set(key, line);
+  });
+  return [...lines.values()];
+};
+
+// Itemised pricing stored on the order. The grand total is what gets charged.
+const buildPricing = (orderItems, discounts, deliveryFee, depositCredit = 0) => {
+  const subtotal = roundAmount(orderItems.reduce((sum, item) => sum + lineValue(item), 0));
+  const discountTotal = roundAmount(discounts.reduce((sum, line) => sum + line.amount, 0));
+
+  const taxesByRate = new Map();
+  orderItems.forEach(item => {
+    if (!item.taxAmount) return;
+    const key = `${item.taxName}|${item.taxRate}`;
+    const entry = taxesByRate.get(key) || { name: item.taxName, rate: item.taxRate, taxableAmount: 0, amount: 0 };
+    entry.taxableAmount = roundAmount(entry.taxableAmount + item.taxableAmount);
+    entry.amount = roundAmount(entry.amount + item.taxAmount);
+    taxesByRate.set(key, entry);
+  });
+  const taxes = [...taxesByRate.values()];
+  const taxTotal = roundAmount(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+  const deposits = buildDeposits(orderItems);
+  const depositTotal = roundAmount(deposits.reduce((sum, line) => sum + line.total, 0));
+
+  return {
+    subtotal,
+    discounts,
+    discountTotal,
+    taxes,
+    taxTotal,
+    deliveryFee,
+    deposits,
+    depositTotal,
+    depositCredit,
+    grandTotal: roundAmount(subtotal - discountTotal + taxTotal + deliveryFee + depositTotal - depositCredit)
+  };
+};
+
+module.exports = {
+  allocateDiscount,
+  applyTax,
+  buildPricing
+};
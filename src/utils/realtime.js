@@ -0,0 +1,132 @@
+const EventEmitter = require('events');
+const User = require('../models/User');
+const { isSessionActive } = require('./sessions');
+
+// In-process event bus behind the Server-Sent Event streams. Customers listen
+// on their own channel and admins on one shared channel. Events only reach
+// streams opened on the same server process.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const ADMIN_CHANNEL = 'admin';
+
+// Proxies drop idle connections; a comment line every so often keeps the
+// stream open
+const HEARTBEAT_MS = 25 * 1000;
+
+// Streams outlive the request that authorised them, so the session behind
+// one is checked again this often and the stream closed once it is revoked
+const SESSION_CHECK_MS = parseInt(process.env.STREAM_SESSION_CHECK_MS) || 60 * 1000;
+
+const userChannel = (userId) => `user:${userId}`;
+
+const orderSummary = (order) => ({
+  order: order._id,
+  orderNumber: order.orderNumber,
+  orderStatus: order.orderStatus,
+  paymentStatus: order.paymentStatus,
+  isPaid: order.isPaid,
+  deliveryDate: order.deliveryDate,
+  deliverySlot: order.deliverySlot,
+  updatedAt: order.updatedAt
+});
+
+const publish = (channel, event, data) => {
+  bus.emit(channel, { event, data });
+};
+
+// Status or payment change on an order, for its owner and the admins
+const publishOrderUpdate = (order, event = 'order-status') => {
+  const data = orderSummary(order);
+  publish(userChannel(order.user?._id || order.user), event, data);
+  publish(ADMIN_CHANNEL, event, data);
+};
+
+// A freshly placed order, for the packing team
+const publishNewOrder = (order) => {
+  publish(ADMIN_CHANNEL, 'new-order', {
+    ...orderSummary(order),
+    totalAmount: order.totalAmount,
+    paymentMethod: order.paymentMethod,
+    deliveryZone: order.deliveryZone,
+    items: order.items.map(item => ({
+      product: item.product,
+      variant: item.variant,
+      name: item.name,
+      quantity: item.quantity
+    })),
+    createdAt: order.createdAt
+  });
+};
+
+// Where the agent carrying an order is, for the order's owner
+const publishAgentLocation = (order, location) => {
+  publish(userChannel(order.user?._id || order.user), 'agent-location', {
+    order: order._id,
+    orderNumber: order.orderNumber,
+    ...location
+  });
+};
+
+const isStillAuthorized = async (req) => {
+  if (!(await isSessionActive(req.sessionId, req.user._id))) return false;
+  const user = await User.findById(req.user._id).select('isActive');
+  return Boolean(user && user.isActive);
+};
+
+// Turn the response into an event stream fed from a channel. filter, when
+// given, picks which events are passed on. Returns a function that writes an
+// event straight to this stream.
+const openStream = (req, res, channel, filter) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const listener = (message) => {
+    if (!filter || filter(message)) send(message.event, message.data);
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    clearInterval(sessionCheck);
+    bus.off(channel, listener);
+  };
+
+  const sessionCheck = setInterval(async () => {
+    try {
+      if (await isStillAuthorized(req)) return;
+    } catch (error) {
+      // Keep the stream through a database hiccup; the next check decides
+      console.error('Stream session check error:', error);
+      return;
+    }
+    send('session-expired', { message: 'Session expired, please log in again' });
+    close();
+    res.end();
+  }, SESSION_CHECK_MS);
+
+  bus.on(channel, listener);
+  req.on('close', close);
+
+  return send;
+};
+
+module.exports = {
+  ADMIN_CHANNEL,
+  userChannel,
+  orderSummary,
+  publishOrderUpdate,
+  publishNewOrder,
+  publishAgentLocation,
+  openStream
+};
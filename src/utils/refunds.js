@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const Stripe = require('stripe');
+const Order = require('../models/Order');
+const { roundAmount, creditWallet } = require('./wallet');
+const { notify } = require('./notifications');
+
+const getStripe = () => new Stripe(process.env.STRIPE_SECRET_KEY || '');
+
+const refundError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Refunds in these states count against the order total
+const COMMITTED_STATUSES = ['pending', 'succeeded', 'requires_action'];
+
+const committedAmount = (refunds) => {
+  return roundAmount(refunds
+    .filter(refund => COMMITTED_STATUSES.includes(refund.status))
+    .reduce((sum, refund) => sum + refund.amount, 0));
+};
+
+// Orders refunded before refundCommitted existed start from their records
+const initRefundCommitted = async (order) => {
+  await Order.updateOne(
+    { _id: order._id, refundCommitted: { $exists: false } },
+    { refundCommitted: committedAmount(order.refunds) }
+  );
+};
+
+// Commit part of the order total to a refund before any money moves. The
+// conditional $inc only matches while the refund still fits, so of two
+// refunds racing for the same balance only one goes ahead. Resolves to the
+// reservation id.
+const reserveRefund = async (order, value) => {
+  await initRefundCommitted(order);
+
+  const reservation = new mongoose.Types.ObjectId();
+  const reserved = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $expr: { $lte: [{ $add: ['$refundCommitted', value] }, { $add: ['$totalAmount', 0.001] }] }
+    },
+    {
+      $inc: { refundCommitted: value },
+      $push: { refundReservations: { _id: reservation, amount: value } }
+    }
+  );
+
+  if (!reserved) {
+    throw refundError('Refund amount exceeds refundable balance; another refund may have been issued meanwhile', 409);
+  }
+  return reservation;
+};
+
+// The refund has been recorded; its amount stays committed
+const completeReservation = async (order, reservation) => {
+  await Order.updateOne({ _id: order._id }, { $pull: { refundReservations: { _id: reservation } } });
+};
+
+// No money moved, or the refund failed: give the amount back
+const releaseRefund = async (order, value, reservation) => {
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $inc: { refundCommitted: -value },
+      ...(reservation ? { $pull: { refundReservations: { _id: reservation } } } : {})
+    }
+  );
+};
+
+// Change an order's refund records and totals. Refunds and their webhooks
+// run side by side, each on its own read of the order; increment() makes a
+// save from a stale read fail with a VersionError, and the change is made
+// again on a fresh read. apply edits the order and resolves to whatever the
+// caller needs back, alongside the saved order.
+const updateRefunds = async (orderId, apply) => {
+  for (;;) {
+    const order = await Order.findById(orderId);
+    const result = apply(order);
+    order.syncRefundTotals();
+    order.increment();
+    try {
+      await order.save();
+      return { order, ...result };
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError)) throw error;
+    }
+  }
+};
+
+// Tell the customer once a refund has gone through. Card refunds may only
+// succeed on a later webhook; the refund id keeps it to one message.
+const notifyRefund = async (order, refund) => {
+  if (refund?.status !== 'succeeded') return;
+  await notify('refund_issued', {
+    user: order.user,
+    order,
+    data: { amount: refund.amount, method: refund.method },
+    dedupeKey: `refund_issued:${refund.refundId || refund._id}`
+  });
+};
+
+// Refund a paid order, fully (amount omitted) or partially. Card payments are
+// refunded through Stripe, wallet payments back to the wallet. The refund is
+// recorded on the order and paymentStatus updated once it has succeeded.
+// Resolves to the refund record and the updated order.
+const refundOrder = async (order, amount, { reason, by } = {}) => {
+  if (!order.isPaid) {
+    throw refundError('Order has not been paid');
+  }
+
+  if (order.paymentStatus === 'refunded') {
+    throw refundError('Order has already been fully refunded');
+  }
+
+  if (!['card', 'wallet'].includes(order.paymentMethod)) {
+    throw refundError('Only card and wallet payments can be refunded');
+  }
+
+  const refundable = order.getRefundableAmount();
+  const value = amount === undefined || amount === null ? refundable : roundAmount(parseFloat(amount));
+
+  if (!(value > 0)) {
+    throw refundError(refundable > 0 ? 'Refund amount must be greater than zero' : 'Order has already been fully refunded');
+  }
+
+  if (value > refundable) {
+    throw refundError(`Refund amount exceeds refundable balance of ${refundable}`);
+  }
+
+  if (order.paymentMethod === 'card') {
+    if (!order.paymentIntentId) {
+      throw refundError('Order has no card payment to refund');
+    }
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw refundError('Stripe secret key not configured on server', 500);
+    }
+  }
+
+  const reservation = await reserveRefund(order, value);
+
+  let refund;
+  try {
+    refund = await issueRefund(order, value, { reason, by, reservation });
+  } catch (error) {
+    await releaseRefund(order, value, reservation);
+    throw error;
+  }
+
+  // The refund.created webhook can land before we get here; work on a fresh
+  // read so the refund isn't recorded twice
+  const { order: current, existing, recorded } = await updateRefunds(order._id, (fresh) => {
+    const found = refund.refundId && fresh.refunds.find(entry => entry.refundId === refund.refundId);
+    if (found) {
+      Object.assign(found, { reason: refund.reason, createdBy: refund.createdBy });
+      return { existing: true, recorded: found };
+    }
+    fresh.refunds.push(refund);
+    return { existing: false, recorded: fresh.refunds[fresh.refunds.length - 1] };
+  });
+
+  // Declined straight away; the webhook finds the record already settled
+  if (!existing && !COMMITTED_STATUSES.includes(refund.status)) {
+    await releaseRefund(order, value, reservation);
+  } else {
+    await completeReservation(order, reservation);
+  }
+
+  await notifyRefund(current, recorded);
+
+  return {
+    order: current,
+    refund: recorded
+  };
+};
+
+// Move the money for a reserved refund: through Stripe for card payments,
+// back to the wallet otherwise. Resolves to the refund record to store.
+const issueRefund = async (order, value, { reason, by, reservation }) => {
+  if (order.paymentMethod === 'card') {
+    const stripeRefund = await getStripe().refunds.create({
+      payment_intent: order.paymentIntentId,
+      amount: Math.round(value * 100),
+      reason: 'requested_by_customer',
+      // reserved tells the webhook the amount is already committed
+      metadata: { orderId: order._id.toString(), reason: reason || '', reserved: 'true' }
+    }, {
+      // Retrying the same request must not refund twice; every reservation
+      // is a separate refund
+      idempotencyKey: `refund-${order._id}-${reservation}`
+    });
+
+    return {
+      refundId: stripeRefund.id,
+      method: 'card',
+      amount: value,
+      reason,
+      status: stripeRefund.status,
+      failureReason: stripeRefund.failure_reason,
+      createdBy: by
+    };
+  }
+
+  await creditWallet(order.user, value, {
+    source: 'refund',
+    order: order._id,
+    reason: reason || `Refund for order ${order.orderNumber}`,
+    createdBy: by
+  });
+
+  return {
+    method: 'wallet',
+    amount: value,
+    reason,
+    status: 'succeeded',
+    createdBy: by
+  };
+};
+
+// Bring an order's refund records in line with a Stripe refund object,
+// including refunds issued from the Stripe dashboard
+const syncStripeRefund = async (stripeRefund) => {
+  let order = await Order.findOne({ paymentIntentId: stripeRefund.payment_intent });
+  if (!order && stripeRefund.metadata?.orderId) {
+    order = await Order.findById(stripeRefund.metadata.orderId);
+  }
+  if (!order) return null;
+
+  await initRefundCommitted(order);
+
+  const { order: updated, record, wasCommitted } = await updateRefunds(order._id, (fresh) => {
+    const found = fresh.refunds.find(refund => refund.refundId === stripeRefund.id);
+    if (found) {
+      const committed = COMMITTED_STATUSES.includes(found.status);
+      found.status = stripeRefund.status;
+      found.failureReason = stripeRefund.failure_reason;
+      return { record: found, wasCommitted: committed };
+    }
+
+    fresh.refunds.push({
+      refundId: stripeRefund.id,
+      method: 'card',
+      amount: stripeRefund.amount / 100,
+      reason: stripeRefund.metadata?.reason || 'Refunded in Stripe',
+      status: stripeRefund.status,
+      failureReason: stripeRefund.failure_reason
+    });
+    // A refund from refundOrder was committed before it reached Stripe, even
+    // when its webhook arrives before refundOrder records it
+    return { record: fresh.refunds[fresh.refunds.length - 1], wasCommitted: stripeRefund.metadata?.reserved === 'true' };
+  });
+
+  const isCommitted = COMMITTED_STATUSES.includes(record.status);
+  if (isCommitted !== wasCommitted) {
+    await Order.updateOne(
+      { _id: order._id },
+      { $inc: { refundCommitted: isCommitted ? record.amount : -record.amount } }
+    );
+  }
+
+  await notifyRefund(updated, record);
+  return updated;
+};
+
+// charge.refunded carries the charge; fetch its refunds and sync each one
+const syncChargeRefunds = async (charge) => {
+  let refunds = charge.refunds?.data || [];
+
+  if (process.env.STRIPE_SECRET_KEY && charge.payment_intent) {
+    const list = await getStripe().refunds.list({ payment_intent: charge.payment_intent, limit: 100 });
+    refunds = list.data;
+  }
+
+  for (const refund of refunds) {
+    await syncStripeRefund(refund);
+  }
+};
+
+module.exports = {
+  refundOrder,
+  syncStripeRefund,
+  syncChargeRefunds
+};
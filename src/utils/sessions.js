@@ -0,0 +1,111 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken, hashToken, createToken } = require('./validation');
+
+const sessionError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Refresh tokens last REFRESH_TOKEN_EXPIRE_DAYS (default 30) from their last use
+const getRefreshExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+const describeClient = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 300),
+  ip: req.ip
+});
+
+const issueTokens = (session, refreshToken) => ({
+  token: generateToken(session.user, session._id),
+  refreshToken,
+  expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m'
+});
+
+// Start a session for a device that has just signed in. Resolves to the
+// access and refresh tokens.
+const createSession = async (user, req) => {
+  const { token, hash } = createToken();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hash,
+    expiresAt: getRefreshExpiry(),
+    ...describeClient(req)
+  });
+
+  return issueTokens(session, token);
+};
+
+// How many used refresh tokens a session remembers. A replay is almost
+// always of a recent token, and the list must not grow with every refresh.
+const USED_TOKEN_HISTORY = 10;
+
+// Exchange a refresh token for a new pair. The token is swapped in one
+// conditional update, so it can only be used once; presenting a token that
+// was already used means it has leaked, and the whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    throw sessionError('Please provide the refresh token', 400);
+  }
+
+  const hash = hashToken(refreshToken);
+  const next = createToken();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { tokenHash: next.hash, lastUsedAt: new Date(), expiresAt: getRefreshExpiry(), ...describeClient(req) },
+      $push: { usedTokenHashes: { $each: [hash], $slice: -USED_TOKEN_HISTORY } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { usedTokenHashes: hash, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'token-reuse' }
+    );
+    if (reused) {
+      console.warn(`Refresh token reuse on session ${reused._id} of user ${reused.user}; session revoked`);
+    }
+    throw sessionError('Session expired, please log in again');
+  }
+
+  const user = await User.findById(session.user).select('isActive');
+  if (!user || !user.isActive) {
+    await revokeSessions({ _id: session._id }, 'deactivated');
+    throw sessionError('Account is deactivated');
+  }
+
+  return issueTokens(session, next.token);
+};
+
+// Revoke the active sessions matching filter. Resolves to how many were revoked.
+const revokeSessions = async (filter, reason) => {
+  const result = await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+const revokeUserSessions = (userId, reason) => revokeSessions({ user: userId }, reason);
+
+// Whether an access token's session is still live
+const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) return false;
+  const session = await Session.findOne({ _id: sessionId, user: userId }).select('revokedAt expiresAt');
+  return Boolean(session && session.isActive);
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSessions,
+  revokeUserSessions,
+  isSessionActive
+};
@@ -0,0 +1,220 @@
+const Product = require('../models/Product');
+const Batch = require('../models/Batch');
+const { allocateBatches, returnBatches, claimExpiredBatches } = require('./batches');
+const { notifyAdmins } = require('./inbox');
+
+const stockError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Items carry the variant they were ordered in. Variant stock and the
+// product's total are always moved together in one update.
+const variantFilter = (item, filter = {}) => {
+  if (!item.variant) return filter;
+  return { variants: { $elemMatch: { _id: item.variant, ...filter } } };
+};
+
+// Items from before variants existed carry none. Their units belong to the
+// product's default variant, the one priceItems picks when none is given, so
+// the variant's count moves with the total and the totals synced from the
+// variants on the next save stay right.
+const withVariant = async (item) => {
+  if (item.variant) return item;
+
+  const product = await Product.findById(item.product).select('variants');
+  const variant = product && product.getVariant();
+  if (!variant) return item;
+
+  return { product: item.product, variant: variant._id, quantity: item.quantity, batches: item.batches };
+};
+
+const stockIncrement = (item, amount) => {
+  return item.variant
+    ? { 'variants.$.quantity': amount, quantity: amount }
+    : { quantity: amount };
+};
+
+// Tell the admins when a sale takes a variant to LOW_STOCK_THRESHOLD
+// (default 5) or out of stock. Only the sale that crosses the line raises
+// the alert.
+const alertLowStock = async (product, item) => {
+  const threshold = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+  const variant = item.variant ? product.getVariant(item.variant) : null;
+  const remaining = variant ? variant.quantity : product.quantity;
+  const outOfStock = remaining === 0;
+  if (!outOfStock && (remaining > threshold || remaining + item.quantity <= threshold)) return;
+
+  const name = variant ? `${product.name} (${variant.label})` : product.name;
+  await notifyAdmins({
+    type: outOfStock ? 'out_of_stock' : 'low_stock',
+    title: outOfStock ? `${name} is out of stock` : `${name} is running low`,
+    message: outOfStock ? undefined : `${remaining} left in stock`,
+    product: product._id
+  });
+};
+
+// Products that sold out go off sale; an admin's choice to take one off sale
+// is left alone
+const markSoldOut = async (product) => {
+  await Product.updateOne(
+    { _id: product._id, quantity: 0, isAvailable: true },
+    { isAvailable: false, soldOut: true }
+  );
+};
+
+// Back on sale once stock returns, if it went off sale by selling out
+const relistSoldOut = async (productId) => {
+  await Product.updateOne(
+    { _id: productId, soldOut: true, quantity: { $gt: 0 } },
+    { isAvailable: true, soldOut: false }
+  );
+};
+
+// Put quantities back, e.g. on cancellation or to undo a partial decrement.
+// Units taken from batches go back to the same batches.
+const restoreStock = async (items) => {
+  for (const orderItem of items) {
+    const item = await withVariant(orderItem);
+    await returnBatches(item.batches);
+
+    const result = await Product.updateOne(
+      { _id: item.product, ...variantFilter(item) },
+      { $inc: stockIncrement(item, item.quantity) }
+    );
+
+    // The variant has since been removed; keep the product total right
+    if (item.variant && result.matchedCount === 0) {
+      await Product.updateOne({ _id: item.product }, { $inc: { quantity: item.quantity } });
+    }
+    await relistSoldOut(item.product);
+  }
+};
+
+// Take units out of the stock counters, e.g. when a batch is written off.
+// Never goes below zero: units already sold as untracked stock can't be
+// taken again.
+const removeStock = async (item) => {
+  const product = await Product.findOne({ _id: item.product, ...variantFilter(item) });
+  if (!product) return;
+
+  const variant = item.variant ? product.getVariant(item.variant) : null;
+  const amount = Math.min(item.quantity, variant ? variant.quantity : product.quantity);
+  if (amount <= 0) return;
+
+  const updated = await Product.findOneAndUpdate(
+    { _id: item.product, ...variantFilter(item, { quantity: { $gte: amount } }) },
+    { $inc: stockIncrement(item, -amount) },
+    { new: true }
+  );
+
+  // The counter moved meanwhile; try again with the new figure
+  if (!updated) return removeStock(item);
+
+  if (updated.quantity === 0) {
+    await markSoldOut(updated);
+  }
+};
+
+// Write off the units left in expired batches, for one item or everywhere.
+// Returns the number of units written off.
+const writeOffExpiredStock = async (item) => {
+  const claimed = await claimExpiredBatches(item);
+
+  let units = 0;
+  for (const { batch, quantity } of claimed) {
+    await removeStock({ product: batch.product, variant: batch.variant, quantity });
+    units += quantity;
+  }
+
+  return units;
+};
+
+// Add a received batch to stock. The batch is only kept if its variant
+// still exists.
+const receiveBatch = async (data) => {
+  const batch = await Batch.create({ ...data, quantity: data.quantityReceived });
+  const item = { product: batch.product, variant: batch.variant, quantity: batch.quantityReceived };
+
+  const result = await Product.updateOne(
+    { _id: item.product, ...variantFilter(item) },
+    { $inc: stockIncrement(item, item.quantity) }
+  );
+
+  if (result.matchedCount === 0) {
+    await Batch.deleteOne({ _id: batch._id });
+    throw stockError('Product variant not found', 404);
+  }
+  await relistSoldOut(item.product);
+
+  return batch;
+};
+
+// Take stock for every item or for none of them.
+//
+// Each product is decremented with a single conditional update that only
+// matches while enough units remain, so two orders racing for the last units
+// can never both succeed. If any item can't be taken, the items already
+// decremented are restored before the error is thrown. This works on a
+// standalone MongoDB as well as a replica set, unlike multi-document
+// transactions.
+//
+// Expired batches of an item are written off first so their units can't be
+// sold. The units taken are then allocated to batches first-expired,
+// first-out and recorded on item.batches.
+const decrementStock = async (items) => {
+  const taken = [];
+
+  try {
+    for (const orderItem of items) {
+      const item = await withVariant(orderItem);
+      await writeOffExpiredStock(item);
+
+      const filter = item.variant
+        ? { _id: item.product, isAvailable: true, ...variantFilter(item, { isActive: true, quantity: { $gte: item.quantity } }) }
+        : { _id: item.product, isAvailable: true, quantity: { $gte: item.quantity } };
+
+      const product = await Product.findOneAndUpdate(
+        filter,
+        { $inc: stockIncrement(item, -item.quantity) },
+        { new: true }
+      );
+
+      if (!product) {
+        const current = await Product.findById(item.product);
+        if (!current) {
+          throw stockError(`Product not found: ${item.product}`, 404);
+        }
+        if (!current.isAvailable) {
+          throw stockError(`Product is not available: ${current.name}`);
+        }
+        const variant = item.variant ? current.getVariant(item.variant) : null;
+        if (item.variant && (!variant || !variant.isActive)) {
+          throw stockError(`Variant is not available for: ${current.name}`);
+        }
+        const name = variant ? `${current.name} (${variant.label})` : current.name;
+        const available = variant ? variant.quantity : current.quantity;
+        throw stockError(`Insufficient quantity for: ${name}. Available: ${available}`);
+      }
+
+      taken.push(orderItem);
+      orderItem.batches = await allocateBatches(item);
+      await alertLowStock(product, item);
+
+      if (product.quantity === 0) {
+        await markSoldOut(product);
+      }
+    }
+  } catch (error) {
+    await restoreStock(taken);
+    throw error;
+  }
+};
+
+module.exports = {
+  decrementStock,
+  restoreStock,
+  receiveBatch,
+  writeOffExpiredStock
+};
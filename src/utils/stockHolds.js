@@ -0,0 +1,187 @@
+const Stripe = require('stripe');
+const Order = require('../models/Order');
+const StockHold = require('../models/StockHold');
+const { decrementStock, restoreStock } = require('./stock');
+const { reserveSlot } = require('./deliverySlots');
+const { releaseCancelledOrder } = require('./orderPlacement');
+const { restoreOrderCoupons } = require('./coupons');
+const { reclaimDepositCredit } = require('./bottles');
+
+const getStripe = () => new Stripe(process.env.STRIPE_SECRET_KEY || '');
+
+// Cancel the order's PaymentIntent so the customer can't pay after the stock
+// has been handed back. Returns false when the payment already went through
+// (or is going through), in which case the webhook settles the order.
+const cancelPaymentIntent = async (paymentIntentId) => {
+  if (!paymentIntentId || !process.env.STRIPE_SECRET_KEY) return true;
+
+  const stripe = getStripe();
+  try {
+    await stripe.paymentIntents.cancel(paymentIntentId);
+    return true;
+  } catch (error) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId).catch(() => null);
+    if (paymentIntent && ['succeeded', 'processing'].includes(paymentIntent.status)) {
+      return false;
+    }
+    // Already cancelled or never confirmed; nothing left to stop
+    return true;
+  }
+};
+
+// End an active hold and cancel its still-unpaid order, which returns the
+// held stock. status is 'expired' or 'released'.
+const releaseHold = async (hold, status, reason) => {
+  const released = await StockHold.findOneAndUpdate(
+    { _id: hold._id, status: 'active' },
+    { status, releaseReason: reason, resolvedAt: new Date() },
+    { new: true }
+  );
+  if (!released) return null;
+
+  const order = await Order.findById(hold.order);
+  if (order) {
+    await releaseCancelledOrder(order, {
+      cancellationReason: reason,
+      paymentStatus: 'failed'
+    }, { fromStatuses: ['pending'], note: reason });
+  }
+
+  return released;
+};
+
+const releaseHoldForOrder = async (order, reason) => {
+  const hold = await StockHold.findOne({ order: order._id, status: 'active' });
+  if (!hold) return null;
+  return releaseHold(hold, 'released', reason);
+};
+
+// Make a paid card order's stock permanent. Returns false if the order can't
+// be fulfilled: it was cancelled on purpose, or its hold lapsed and the units
+// were sold meanwhile. Changes to the order are left for settlePaidOrder to
+// write.
+const confirmHeldStock = async (order) => {
+  const hold = await StockHold.findOneAndUpdate(
+    { order: order._id, status: 'active' },
+    { status: 'converted', resolvedAt: new Date() },
+    { new: true }
+  );
+  if (hold) return true;
+
+  const wasCancelled = order.orderStatus === 'cancelled';
+  const lapsedHold = wasCancelled
+    ? await StockHold.findOne({ order: order._id, status: 'expired' })
+    : null;
+
+  if (wasCancelled && !lapsedHold) return false;
+
+  // Orders from before holds existed, or whose hold lapsed, take stock now
+  if (wasCancelled || !order.stockDeducted) {
+    try {
+      await decrementStock(order.items);
+    } catch (error) {
+      if (error.statusCode) return false;
+      throw error;
+    }
+    order.stockDeducted = true;
+  }
+
+  // Payment arrived after the hold expired: put the order back on track
+  if (wasCancelled) {
+    if (order.deliverySlot?.slot) {
+      try {
+        await reserveSlot(order.deliverySlot.slot, order.deliveryDate, order.deliveryAddress?.zipCode, {
+          enforceCutoff: false
+        });
+      } catch (error) {
+        console.error(`Could not re-reserve slot for order ${order.orderNumber}:`, error.message);
+      }
+    }
+    await restoreOrderCoupons(order);
+    await reclaimDepositCredit(order.user, order.pricing?.depositCredit);
+    order.setStatus('pending', { force: true, note: 'Reinstated after late payment' });
+    order.cancellationReason = undefined;
+    lapsedHold.status = 'converted';
+    lapsedHold.resolvedAt = new Date();
+    await lapsedHold.save();
+  }
+
+  return true;
+};
+
+// Record a card payment on its order. The status change is conditional on
+// the status we read, like changeOrderStatus, so a cancellation that lands
+// while the payment is being settled isn't overwritten: the order keeps its
+// new status and only the payment is recorded. Resolves to the updated order
+// and whether it goes ahead; the caller refunds it when it doesn't.
+const settlePaidOrder = async (order, paymentIntentId) => {
+  const readStatus = order.orderStatus;
+  const historyLength = order.statusHistory.length;
+  const hadStock = order.stockDeducted;
+
+  // Turn the stock hold into a permanent decrement
+  const fulfillable = await confirmHeldStock(order);
+  if (fulfillable && order.orderStatus === 'pending') {
+    order.setStatus('confirmed', { note: 'Payment received' });
+  }
+
+  const payment = { isPaid: true, paidAt: new Date(), paymentStatus: 'paid', paymentIntentId };
+  const update = fulfillable
+    ? {
+      $set: { ...payment, orderStatus: order.orderStatus, stockDeducted: order.stockDeducted },
+      $unset: { cancellationReason: 1 },
+      $push: { statusHistory: { $each: order.statusHistory.slice(historyLength).map(entry => entry.toObject()) } }
+    }
+    : { $set: payment };
+
+  const settled = await Order.findOneAndUpdate(
+    { _id: order._id, orderStatus: readStatus },
+    update,
+    { new: true, runValidators: true }
+  );
+  if (settled) return { order: settled, fulfillable };
+
+  // The status changed meanwhile. Stock taken here for an order that was
+  // cancelled goes back; the cancellation only restored what it saw taken.
+  if (fulfillable && !hadStock && order.stockDeducted) {
+    await restoreStock(order.items);
+  }
+
+  const current = await Order.findByIdAndUpdate(order._id, { $set: payment }, { new: true });
+  return { order: current, fulfillable: current.orderStatus !== 'cancelled' };
+};
+
+// Expire every hold whose window has passed. Run by the background sweeper.
+const expireStockHolds = async () => {
+  const holds = await StockHold.find({ status: 'active', expiresAt: { $lte: new Date() } })
+    .sort({ expiresAt: 1 })
+    .limit(100);
+
+  let expired = 0;
+  for (const hold of holds) {
+    try {
+      const order = await Order.findById(hold.order);
+
+      // Paid between the webhook and the sweep; the webhook converts it
+      if (order && order.isPaid) continue;
+
+      if (!(await cancelPaymentIntent(hold.paymentIntentId || order?.paymentIntentId))) continue;
+
+      if (await releaseHold(hold, 'expired', 'Payment window expired')) {
+        expired += 1;
+      }
+    } catch (error) {
+      console.error(`Stock hold ${hold._id} expiry error:`, error);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  cancelPaymentIntent,
+  releaseHoldForOrder,
+  confirmHeldStock,
+  settlePaidOrder,
+  expireStockHolds
+};
@@ -0,0 +1,95 @@
+const Stripe = require('stripe');
+const User = require('../models/User');
+
+const getStripe = () => new Stripe(process.env.STRIPE_SECRET_KEY || '');
+
+const customerError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Errors thrown by the Stripe client carry a type such as StripeCardError.
+// They also carry Stripe's HTTP statusCode, so controllers must check for
+// them before treating statusCode as one of our own errors.
+const isStripeError = (error) => {
+  return typeof error?.type === 'string' && error.type.startsWith('Stripe');
+};
+
+// Return the user's Stripe Customer id, creating the customer on first use.
+// The idempotency key makes concurrent first calls get the same customer,
+// and the conditional update keeps whichever id was stored first.
+const getOrCreateCustomer = async (user) => {
+  if (user.stripeCustomerId) return user.stripeCustomerId;
+
+  const stored = await User.findById(user._id).select('stripeCustomerId');
+  if (stored?.stripeCustomerId) return stored.stripeCustomerId;
+
+  const customer = await getStripe().customers.create({
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    metadata: { userId: user._id.toString() }
+  }, {
+    idempotencyKey: `customer-${user._id}`
+  });
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, stripeCustomerId: { $exists: false } },
+    { stripeCustomerId: customer.id },
+    { new: true }
+  );
+
+  const customerId = updated ? customer.id : (await User.findById(user._id).select('stripeCustomerId')).stripeCustomerId;
+  user.stripeCustomerId = customerId;
+  return customerId;
+};
+
+// Only the fields the client needs to show a saved card
+const formatCard = (paymentMethod, defaultPaymentMethodId) => ({
+  id: paymentMethod.id,
+  brand: paymentMethod.card?.brand,
+  last4: paymentMethod.card?.last4,
+  expMonth: paymentMethod.card?.exp_month,
+  expYear: paymentMethod.card?.exp_year,
+  isDefault: paymentMethod.id === defaultPaymentMethodId
+});
+
+const listCards = async (customerId) => {
+  const stripe = getStripe();
+  const [customer, paymentMethods] = await Promise.all([
+    stripe.customers.retrieve(customerId),
+    stripe.paymentMethods.list({ customer: customerId, type: 'card', limit: 100 })
+  ]);
+
+  const defaultId = customer.invoice_settings?.default_payment_method;
+  return paymentMethods.data.map(paymentMethod => formatCard(paymentMethod, defaultId));
+};
+
+// Fetch a payment method and make sure it is saved on this customer, so one
+// user can never charge or remove another user's card
+const getCustomerCard = async (customerId, paymentMethodId) => {
+  let paymentMethod;
+  try {
+    paymentMethod = await getStripe().paymentMethods.retrieve(paymentMethodId);
+  } catch (error) {
+    if (error.type === 'StripeInvalidRequestError') {
+      throw customerError('Saved card not found', 404);
+    }
+    throw error;
+  }
+
+  if (!customerId || paymentMethod.customer !== customerId) {
+    throw customerError('Saved card not found', 404);
+  }
+
+  return paymentMethod;
+};
+
+module.exports = {
+  isStripeError,
+  getOrCreateCustomer,
+  formatCard,
+  listCards,
+  getCustomerCard
+};
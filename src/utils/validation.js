@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+
 const validateEmail = (email) => {
   const re = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
   return re.test(email);
@@ -12,16 +14,31 @@ const validatePassword = (password) => {
   return password.length >= 6;
 };
 
-const generateToken = (userId) => {
+// Short-lived access token for a session, ACCESS_TOKEN_EXPIRE (default 15m)
+const generateToken = (userId, sessionId) => {
   const jwt = require('jsonwebtoken');
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m',
   });
 };
 
+// Opaque tokens (refresh, email verification, password reset) are only
+// stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A random token to hand out and the hash to keep
+const createToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashToken(token) };
+};
+
 const sanitizeUser = (user) => {
   const userObj = user.toObject ? user.toObject() : user;
   delete userObj.password;
+  delete userObj.emailVerificationToken;
+  delete userObj.emailVerificationExpires;
+  delete userObj.passwordResetToken;
+  delete userObj.passwordResetExpires;
   return userObj;
 };
 
@@ -30,5 +47,7 @@ module.exports = {
   validatePhone,
   validatePassword,
   generateToken,
+  hashToken,
+  createToken,
   sanitizeUser
 };
\ No newline at end of file
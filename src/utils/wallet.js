@@ -0,0 +1,124 @@
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const walletError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getOrCreateWallet = async (userId) => {
+  return Wallet.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Add money to a wallet and append the matching ledger entry. If the entry
+// can't be written (a top-up already credited for the same PaymentIntent),
+// the credit is taken back so the balance always matches the ledger.
+const creditWallet = async (userId, amount, { source, order, paymentIntentId, reason, createdBy } = {}) => {
+  amount = roundAmount(amount);
+  if (!(amount > 0)) {
+    throw walletError('Amount must be greater than zero');
+  }
+
+  await getOrCreateWallet(userId);
+  const wallet = await Wallet.findOneAndUpdate(
+    { user: userId },
+    { $inc: { balance: amount } },
+    { new: true }
+  );
+
+  let transaction;
+  try {
+    transaction = await WalletTransaction.create({
+      wallet: wallet._id,
+      user: userId,
+      type: 'credit',
+      amount,
+      balanceAfter: roundAmount(wallet.balance),
+      source,
+      order,
+      paymentIntentId,
+      reason,
+      createdBy
+    });
+  } catch (error) {
+    await Wallet.updateOne({ _id: wallet._id }, { $inc: { balance: -amount } });
+    throw error;
+  }
+
+  return { wallet, transaction };
+};
+
+// Take money from a wallet. The balance check and decrement happen in one
+// conditional update so concurrent debits can never overdraw the wallet.
+const debitWallet = async (userId, amount, { source, order, reason, createdBy } = {}) => {
+  amount = roundAmount(amount);
+  if (!(amount > 0)) {
+    throw walletError('Amount must be greater than zero');
+  }
+
+  const wallet = await Wallet.findOneAndUpdate(
+    { user: userId, balance: { $gte: amount } },
+    { $inc: { balance: -amount } },
+    { new: true }
+  );
+
+  if (!wallet) {
+    const current = await getOrCreateWallet(userId);
+    throw walletError(`Insufficient wallet balance. Available: ${roundAmount(current.balance)}`);
+  }
+
+  let transaction;
+  try {
+    transaction = await WalletTransaction.create({
+      wallet: wallet._id,
+      user: userId,
+      type: 'debit',
+      amount,
+      balanceAfter: roundAmount(wallet.balance),
+      source,
+      order,
+      reason,
+      createdBy
+    });
+  } catch (error) {
+    await Wallet.updateOne({ _id: wallet._id }, { $inc: { balance: amount } });
+    throw error;
+  }
+
+  return { wallet, transaction };
+};
+
+// Credit a confirmed top-up exactly once per PaymentIntent
+const creditTopUp = async (userId, amount, paymentIntentId) => {
+  const existing = await WalletTransaction.findOne({ paymentIntentId });
+  if (existing) return { transaction: existing, duplicate: true };
+
+  try {
+    const result = await creditWallet(userId, amount, {
+      source: 'topup',
+      paymentIntentId,
+      reason: 'Wallet top-up'
+    });
+    return { ...result, duplicate: false };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { transaction: await WalletTransaction.findOne({ paymentIntentId }), duplicate: true };
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  roundAmount,
+  getOrCreateWallet,
+  creditWallet,
+  debitWallet,
+  creditTopUp
+};
@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const STOCK = 3;
+const PARALLEL_ORDERS = 10;
+
+// Parallel orders fired at the last units of a product. Needs MongoDB:
+// TEST_MONGODB_URI must name a throwaway database, which is dropped before
+// and after the run so nothing the orders create is left behind.
+describe('stock reservation under concurrency', { skip: !process.env.TEST_MONGODB_URI && 'TEST_MONGODB_URI not set' }, () => {
+  let Product;
+  let placeOrder;
+  let decrementStock;
+  let scarce;
+  let plenty;
+
+  const zipCode = 'TEST-1';
+  const userId = new mongoose.Types.ObjectId();
+
+  const orderFor = (items) => placeOrder({
+    user: userId,
+    items,
+    deliveryAddress: { street: 'Test street', city: 'Test', state: 'Test', zipCode },
+    contactNumber: '0000000000',
+    deliveryDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    paymentMethod: 'cod'
+  });
+
+  before(async () => {
+    await mongoose.connect(process.env.TEST_MONGODB_URI);
+    await mongoose.connection.dropDatabase();
+
+    Product = require('../src/models/Product');
+    const DeliveryZone = require('../src/models/DeliveryZone');
+    ({ placeOrder } = require('../src/utils/orderPlacement'));
+    ({ decrementStock } = require('../src/utils/stock'));
+
+    await DeliveryZone.create({ name: 'Concurrency test', zipCodes: [zipCode] });
+
+    const productDefaults = {
+      description: 'Concurrency test product',
+      price: 10,
+      category: 'test',
+      brand: 'test',
+      shelfLife: 1,
+      unit: 'piece'
+    };
+    scarce = await Product.create({ ...productDefaults, name: 'Scarce milk', quantity: STOCK });
+    plenty = await Product.create({ ...productDefaults, name: 'Plenty milk', quantity: 5 });
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  it('places exactly as many parallel orders as there are units', async () => {
+    const results = await Promise.allSettled(
+      Array.from({ length: PARALLEL_ORDERS }, () => orderFor([{ product: scarce._id, quantity: 1 }]))
+    );
+    const succeeded = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+
+    assert.equal(succeeded.length, STOCK);
+    assert.ok(rejected.every(result => result.reason.statusCode === 400), 'rejected orders failed with a stock error');
+
+    const afterRace = await Product.findById(scarce._id);
+    assert.equal(afterRace.quantity, 0);
+    assert.equal(afterRace.isAvailable, false, 'sold-out product is marked unavailable');
+  });
+
+  it('restores the items already taken when a later item is sold out', async () => {
+    await assert.rejects(
+      decrementStock([{ product: plenty._id, quantity: 2 }, { product: scarce._id, quantity: 1 }]),
+      error => error.statusCode === 400
+    );
+
+    const afterRollback = await Product.findById(plenty._id);
+    assert.equal(afterRollback.quantity, 5);
+  });
+});
@@ -0,0 +1,280 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const http = require('http');
+const mongoose = require('mongoose');
+
+// Local stand-ins for the mail server and the SMS gateway. Transports are
+// created on first use from the environment, so it is set before the
+// modules under test send anything.
+process.env.EMAIL_TRANSPORT = 'smtp';
+process.env.SMTP_HOST = '127.0.0.1';
+process.env.SMTP_SECURE = 'false';
+process.env.SMS_TRANSPORT = 'http';
+process.env.SMS_GATEWAY_TOKEN = 'gateway-token';
+process.env.MAIL_FROM = 'orders@dairydrop.test';
+process.env.BCRYPT_SALT_ROUNDS = process.env.BCRYPT_SALT_ROUNDS || '4';
+
+const { getTransport, setTransport } = require('../src/utils/notificationTransports');
+
+// Just enough SMTP to accept mail: every message handed over is kept with
+// its envelope and raw content
+const startSmtpSink = () => new Promise(resolve => {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let envelope = { from: null, to: [] };
+    let data = null;
+    let buffer = '';
+
+    socket.write('220 sink ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data) {
+          if (line === '.') {
+            messages.push({ ...envelope, raw: data.join('\r\n') });
+            envelope = { from: null, to: [] };
+            data = null;
+            socket.write('250 OK queued\r\n');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250-sink\r\n250 8BITMIME\r\n');
+        } else if (command === 'MAIL') {
+          envelope.from = line.match(/<(.*)>/)[1];
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          envelope.to.push(line.match(/<(.*)>/)[1]);
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }));
+});
+
+// Records each SMS posted to it; answers with status until told otherwise
+const startSmsGateway = () => new Promise(resolve => {
+  const gateway = { requests: [], status: 200 };
+
+  gateway.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      gateway.requests.push({ authorization: req.headers.authorization, body: JSON.parse(body) });
+      res.writeHead(gateway.status, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+
+  gateway.server.listen(0, '127.0.0.1', () => resolve(gateway));
+});
+
+// Mail bodies are quoted-printable once lines get long
+const decodeBody = (raw) => raw.replace(/=\r\n/g, '');
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+};
+
+let smtp;
+let gateway;
+
+before(async () => {
+  smtp = await startSmtpSink();
+  gateway = await startSmsGateway();
+  process.env.SMTP_PORT = String(smtp.port);
+  process.env.SMS_GATEWAY_URL = `http://127.0.0.1:${gateway.server.address().port}/messages`;
+});
+
+after(() => {
+  smtp.server.close();
+  gateway.server.close();
+});
+
+describe('notification transports', () => {
+  it('delivers email over SMTP', async () => {
+    const before = smtp.messages.length;
+
+    await getTransport('email').send({
+      to: 'customer@example.com',
+      subject: 'Order DD-1 received',
+      body: 'Hi Sam,\n\nWe have received your order DD-1.'
+    });
+
+    assert.equal(smtp.messages.length, before + 1);
+    const message = smtp.messages[smtp.messages.length - 1];
+    assert.equal(message.from, 'orders@dairydrop.test');
+    assert.deepEqual(message.to, ['customer@example.com']);
+    assert.match(message.raw, /^Subject: Order DD-1 received$/m);
+    assert.match(decodeBody(message.raw), /We have received your order DD-1\./);
+  });
+
+  it('posts SMS to the gateway with its token', async () => {
+    gateway.status = 200;
+    const before = gateway.requests.length;
+
+    await getTransport('sms').send({ to: '+92 300 1234567', body: 'Order DD-1 received.' });
+
+    assert.equal(gateway.requests.length, before + 1);
+    assert.deepEqual(gateway.requests[gateway.requests.length - 1], {
+      authorization: 'Bearer gateway-token',
+      body: { to: '+92 300 1234567', message: 'Order DD-1 received.' }
+    });
+  });
+
+  it('fails the send when the gateway rejects it', async () => {
+    gateway.status = 503;
+    try {
+      await assert.rejects(getTransport('sms').send({ to: '+92 300 1234567', body: 'Hello' }));
+    } finally {
+      gateway.status = 200;
+    }
+  });
+});
+
+// The outbox needs MongoDB. TEST_MONGODB_URI should name a throwaway
+// database; it is dropped when the tests finish.
+describe('notification outbox', { skip: !process.env.TEST_MONGODB_URI && 'TEST_MONGODB_URI not set' }, () => {
+  let User;
+  let OutboxMessage;
+  let notify;
+  let processOutbox;
+  let user;
+
+  const order = {
+    _id: new mongoose.Types.ObjectId(),
+    orderNumber: 'DD-TEST-1',
+    totalAmount: 12.5,
+    deliveryDate: new Date('2030-01-15T00:00:00Z')
+  };
+
+  // notify() starts a delivery pass of its own; wait until every message of
+  // the event has been tried once and none is mid-send
+  const settled = (event) => waitFor(async () => {
+    const busy = await OutboxMessage.countDocuments({
+      event,
+      $or: [{ attempts: 0 }, { status: 'sending' }]
+    });
+    return busy === 0;
+  });
+
+  before(async () => {
+    process.env.NOTIFICATION_MAX_ATTEMPTS = '2';
+    await mongoose.connect(process.env.TEST_MONGODB_URI);
+    await mongoose.connection.dropDatabase();
+
+    User = require('../src/models/User');
+    OutboxMessage = require('../src/models/OutboxMessage');
+    ({ notify, processOutbox } = require('../src/utils/notifications'));
+    await OutboxMessage.init();
+
+    user = await User.create({
+      name: 'Sam Test',
+      email: 'sam@example.com',
+      phone: '+92 300 1234567',
+      password: 'secret123'
+    });
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  it('queues an event once per channel and drains it to the SMTP sink', async () => {
+    const before = smtp.messages.length;
+
+    await notify('order_placed', { user, order, dedupeKey: 'order_placed:test-1' });
+    await notify('order_placed', { user, order, dedupeKey: 'order_placed:test-1' });
+
+    const rows = await OutboxMessage.find({ user: user._id, event: 'order_placed' });
+    assert.deepEqual(rows.map(row => row.channel).sort(), ['email', 'sms']);
+
+    await processOutbox();
+    await settled('order_placed');
+    assert.equal(await OutboxMessage.countDocuments({ event: 'order_placed', status: 'sent' }), 2);
+
+    const delivered = smtp.messages.slice(before);
+    assert.equal(delivered.length, 1);
+    assert.deepEqual(delivered[0].to, ['sam@example.com']);
+    assert.match(delivered[0].raw, /^Subject: Order DD-TEST-1 received$/m);
+    assert.match(decodeBody(delivered[0].raw), /We have received your order DD-TEST-1/);
+  });
+
+  it('retries a failed send later and gives up after the last attempt', async () => {
+    gateway.status = 500;
+    try {
+      await notify('order_delivered', { user, order, dedupeKey: 'order_delivered:test-1' });
+      await processOutbox();
+      await settled('order_delivered');
+
+      const failing = await OutboxMessage.findOne({ event: 'order_delivered', channel: 'sms' });
+      assert.equal(failing.status, 'pending');
+      assert.equal(failing.attempts, 1);
+      assert.ok(failing.lastError);
+      assert.ok(failing.nextAttemptAt > new Date(), 'retry is scheduled for later');
+
+      // Not due yet, so a pass leaves it alone
+      assert.deepEqual(await processOutbox(), { sent: 0, failed: 0 });
+
+      await OutboxMessage.updateOne({ _id: failing._id }, { nextAttemptAt: new Date() });
+      assert.deepEqual(await processOutbox(), { sent: 0, failed: 1 });
+
+      const given = await OutboxMessage.findById(failing._id);
+      assert.equal(given.status, 'failed');
+      assert.equal(given.attempts, 2);
+    } finally {
+      gateway.status = 200;
+    }
+  });
+
+  it('sends a retried message once the transport recovers', async () => {
+    const sent = [];
+    setTransport('sms', { send: async () => { throw new Error('gateway down'); } });
+    try {
+      await notify('payment_succeeded', { user, order, dedupeKey: 'payment_succeeded:test-1' });
+      await processOutbox();
+      await settled('payment_succeeded');
+      const pending = await OutboxMessage.findOne({ event: 'payment_succeeded', channel: 'sms' });
+      assert.equal(pending.status, 'pending');
+
+      setTransport('sms', { send: async (message) => { sent.push(message); } });
+      await OutboxMessage.updateOne({ _id: pending._id }, { nextAttemptAt: new Date() });
+      await processOutbox();
+
+      const delivered = await OutboxMessage.findById(pending._id);
+      assert.equal(delivered.status, 'sent');
+      assert.equal(delivered.attempts, 2);
+      assert.equal(sent.length, 1);
+      assert.match(sent[0].body, /DD-TEST-1/);
+    } finally {
+      setTransport('sms', undefined);
+    }
+  });
+});
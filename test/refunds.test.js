@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_refunds';
+
+// Stands in for the Stripe client. Like Stripe, a repeated idempotency key
+// gets the refund created first back instead of a new one.
+const stripeRefunds = new Map();
+const FakeStripe = function() {
+  return {
+    refunds: {
+      create: async (params, options) => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        if (!stripeRefunds.has(options.idempotencyKey)) {
+          stripeRefunds.set(options.idempotencyKey, {
+            id: `re_test_${stripeRefunds.size + 1}`,
+            object: 'refund',
+            amount: params.amount,
+            payment_intent: params.payment_intent,
+            metadata: params.metadata,
+            status: 'succeeded'
+          });
+        }
+        return stripeRefunds.get(options.idempotencyKey);
+      }
+    }
+  };
+};
+const stripePath = require.resolve('stripe');
+require.cache[stripePath] = { id: stripePath, filename: stripePath, loaded: true, exports: FakeStripe };
+
+// Needs MongoDB: TEST_MONGODB_URI must name a throwaway database, which is
+// dropped before and after the run.
+describe('refunds', { skip: !process.env.TEST_MONGODB_URI && 'TEST_MONGODB_URI not set' }, () => {
+  let Order;
+  let refundOrder;
+
+  before(async () => {
+    await mongoose.connect(process.env.TEST_MONGODB_URI);
+    await mongoose.connection.dropDatabase();
+
+    Order = require('../src/models/Order');
+    ({ refundOrder } = require('../src/utils/refunds'));
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  it('issues two concurrent partial card refunds as separate refunds', async () => {
+    const order = await Order.create({
+      user: new mongoose.Types.ObjectId(),
+      items: [{ product: new mongoose.Types.ObjectId(), name: 'Milk', price: 20, quantity: 1 }],
+      contactNumber: '0000000000',
+      totalAmount: 20,
+      deliveryDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      paymentMethod: 'card',
+      paymentIntentId: 'pi_test_refunds',
+      isPaid: true,
+      paidAt: new Date(),
+      paymentStatus: 'paid'
+    });
+
+    // Both start from the same read of the order, as two admin requests would
+    const results = await Promise.all([
+      refundOrder(order, 5, { reason: 'Damaged bottle' }),
+      refundOrder(order, 10, { reason: 'Late delivery' })
+    ]);
+
+    assert.equal(stripeRefunds.size, 2, 'each refund used its own idempotency key');
+    assert.notEqual(results[0].refund.refundId, results[1].refund.refundId);
+
+    const refunded = await Order.findById(order._id);
+    assert.deepEqual(refunded.refunds.map(refund => refund.amount).sort((a, b) => a - b), [5, 10]);
+    assert.equal(refunded.refundedAmount, 15);
+    assert.equal(refunded.refundCommitted, 15);
+    assert.equal(refunded.refundReservations.length, 0);
+    assert.equal(refunded.paymentStatus, 'partially_refunded');
+    assert.equal(refunded.getRefundableAmount(), 5);
+
+    // What is left can still be refunded, and no more
+    await assert.rejects(refundOrder(refunded, 6), error => error.statusCode === 400);
+    await refundOrder(refunded, 5);
+    const settled = await Order.findById(order._id);
+    assert.equal(settled.paymentStatus, 'refunded');
+    assert.equal(settled.refundCommitted, 20);
+  });
+});